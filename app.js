@@ -0,0 +1,3485 @@
+// Import necessary libraries and modules
+const express = require('express');
+const session = require('express-session');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const ejs = require('ejs');
+const {
+  isInteractionType,
+  recordInteraction,
+  loadInteractions,
+  applyInteractions,
+} = require('./lib/interactions');
+const {
+  CATEGORIES,
+  parseTopics,
+  loadTopics,
+  replaceTopics,
+} = require('./lib/topics');
+const { COUNTRIES, countryCode, stateName } = require('./lib/countries');
+const {
+  RULE_TYPES,
+  normalizeRuleValue,
+  parseSentiment,
+  buildContentFilter,
+  createContentRules,
+} = require('./lib/content-filter');
+const {
+  createNewsProvider,
+  createCachedProvider,
+  createCacheStore,
+  encodeCursor,
+  decodeCursor,
+} = require('./lib/news');
+const { createMailer } = require('./lib/mail');
+const { FORMATS, isFeedFormat, newFeedToken, renderFeed } = require('./lib/feeds');
+const {
+  MAX_TOKENS_PER_USER,
+  DEFAULT_RATE_LIMIT,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  findApiToken,
+  createRateLimiter,
+} = require('./lib/api-tokens');
+const {
+  TOKEN_TTL_SECONDS,
+  issueUserToken,
+  findUserToken,
+  consumeUserToken,
+} = require('./lib/user-tokens');
+const { createLoginThrottle, recentLoginEvents } = require('./lib/login-throttle');
+const QRCode = require('qrcode');
+const { KnexSessionStore } = require('./lib/session-store');
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require('./lib/totp');
+const {
+  ROLES,
+  ROLE_LABELS,
+  parseRoles,
+  permissionsFor,
+  loadRoles,
+  ensureOtherSuperadmin,
+  replaceRoles,
+} = require('./lib/roles');
+const { AUDIT_ACTIONS, snapshotTarget, recordAudit, listAuditEntries } = require('./lib/audit');
+const {
+  PAGE_SIZES,
+  ROLE_FILTERS,
+  parseUserFilters,
+  userListUrl,
+  listPeople,
+  exportPeople,
+  loadLocationOptions,
+} = require('./lib/admin-users');
+const { toCsv, parseCsvRecords } = require('./lib/csv');
+const { createCsrfProtection } = require('./lib/csrf');
+const { recordUsage, trackProviderCalls, trackActiveUsers, loadDashboard } = require('./lib/usage');
+const {
+  DEFAULT_RETENTION_DAYS,
+  softDeletePerson,
+  restorePerson,
+  purgeDate,
+  listDeletedPeople,
+  createPurgeJob,
+} = require('./lib/deleted-users');
+const {
+  FREQUENCIES,
+  TIMEZONES,
+  newUnsubscribeToken,
+  createDigestJob,
+} = require('./lib/digest');
+
+// ------------------------------------------------------------
+// App factory. index.js passes the real dependencies; tests pass an in-memory
+// database, a stubbed news source and a mailer that keeps messages.
+//   db             knex instance (required)
+//   newsSource     news provider (see lib/news); cached and tracked here
+//   mailer         outgoing mail (see lib/mail)
+//   sessionSecret  SESSION_SECRET; a comma-separated list rotates secrets
+// Returns { app, digestJob, purgeJob }; index.js starts the server and the jobs.
+// ------------------------------------------------------------
+const createApp = ({
+  db,
+  newsSource = createNewsProvider(),
+  mailer = createMailer(),
+  sessionSecret = process.env.SESSION_SECRET,
+} = {}) => {
+  // ------------------------------------------------------------
+  // News provider (NEWS_PROVIDER=webz | fixture, defaults to webz)
+  // Responses are cached per query so users with the same preferences share
+  // one upstream call (NEWS_CACHE_BACKEND=memory | postgres). Upstream calls
+  // (cache misses) are recorded as usage events for the admin dashboard.
+  // ------------------------------------------------------------
+  const newsProvider = createCachedProvider(trackProviderCalls(db, newsSource), {
+    store: createCacheStore(db),
+    ttlSeconds: Number(process.env.NEWS_CACHE_TTL_SECONDS) || undefined,
+    staleSeconds: Number(process.env.NEWS_CACHE_STALE_SECONDS) || undefined,
+  });
+
+  // Keyword/domain/category blocklists and sentiment thresholds (see lib/content-filter.js)
+  const contentRules = createContentRules(db);
+
+  // Email digest job (index.js starts it when DIGEST_SCHEDULER=true)
+  const digestJob = createDigestJob({ db, newsProvider, contentRules, mailer });
+
+  // Permanently removes soft-deleted accounts after DELETED_USER_RETENTION_DAYS
+  // (index.js starts it when USER_PURGE_SCHEDULER=true)
+  const purgeJob = createPurgeJob({
+    db,
+    retentionDays: Number(process.env.DELETED_USER_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS,
+  });
+
+  // Failed-login throttling and lockout, backed by login_events (see lib/login-throttle.js)
+  const loginThrottle = createLoginThrottle(db);
+
+  // Create an Express application object
+  const app = express();
+
+  // Behind a reverse proxy (Heroku, nginx, ...) set TRUST_PROXY so req.ip is the
+  // client's address rather than the proxy's
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  }
+
+  // Set EJS as the templating engine
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, 'views'));
+
+  // Option lists shared by the signup, preferences and admin forms
+  app.locals.topicCategories = CATEGORIES;
+  app.locals.countryOptions = COUNTRIES;
+  app.locals.digestTimezones = TIMEZONES;
+  app.locals.adminRoles = ROLES;
+  app.locals.roleLabels = ROLE_LABELS;
+
+  // Serve static files from the 'public' directory
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Middleware (app.use), to create a session for each user.
+  // Sessions are stored in Postgres (sessions table) so they survive deploys and
+  // are shared between instances. SESSION_SECRET is required; give a
+  // comma-separated list to rotate secrets (the first one signs new cookies).
+  const sessionSecrets = String(sessionSecret || '')
+    .split(',')
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+  if (sessionSecrets.length === 0) {
+    throw new Error('SESSION_SECRET must be set (see .env.example)');
+  }
+  const sessionStore = new KnexSessionStore(db);
+
+  app.use(
+      session({
+          store: sessionStore,
+          secret: sessionSecrets,
+          resave: false,
+          saveUninitialized: false,
+          cookie: {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: 'auto',
+            maxAge: (Number(process.env.SESSION_MAX_AGE_HOURS) || 7 * 24) * 60 * 60 * 1000,
+          },
+      })
+  );
+
+  // Hide globally blocked categories from the topic pickers
+  app.use(async (req, res, next) => {
+    try {
+      const { categories } = await contentRules.loadGlobal();
+      res.locals.topicCategories = CATEGORIES.filter((category) => !categories.includes(category));
+    } catch (err) {
+      console.error('Error loading content rules:', err.message);
+    }
+    next();
+  });
+
+  // Middleware to parse URL-encoded bodies (CSV imports get a bigger limit)
+  app.use('/admin/users/import', express.urlencoded({ extended: true, limit: '2mb' }));
+  app.use(express.urlencoded({ extended: true }));
+  // Make session data available to templates
+  app.use((req, res, next) => {
+    res.locals.username = req.session.username || null;
+    res.locals.isAdmin = req.session.isAdmin || false;
+    next();
+  });
+  // Count signed-in users as active once a day (admin dashboard)
+  app.use(trackActiveUsers(db));
+
+  // CSRF protection for every form post and fetch call. /api/v1 is exempt: it
+  // authenticates with bearer tokens, never the session cookie.
+  app.use(
+    createCsrfProtection({
+      secret: sessionSecrets[0],
+      ignorePaths: ['/api/'],
+      trustedOrigins: process.env.APP_BASE_URL ? [new URL(process.env.APP_BASE_URL).origin] : [],
+      onReject: (req, res, reason) => {
+        console.warn(`Rejected ${req.method} ${req.path}: ${reason}`);
+        const message =
+          reason === 'CSRF_ORIGIN'
+            ? 'This request came from another site and was blocked.'
+            : 'Your session has expired or the form is out of date. Reload the page and try again.';
+        // Forms navigate (and ask for HTML); fetch calls get JSON like the rest of their endpoints
+        const isNavigation =
+          req.get('sec-fetch-mode') === 'navigate' || String(req.get('accept') || '').includes('text/html');
+        if (!isNavigation) {
+          return res.status(403).json({ success: false, message });
+        }
+        // Send same-site form posts back to the page they came from (path only)
+        let backPath = '/';
+        if (reason === 'CSRF_TOKEN' && req.get('referer')) {
+          try {
+            const referer = new URL(req.get('referer'));
+            backPath = referer.pathname.startsWith('//') ? '/' : referer.pathname + referer.search;
+          } catch (err) {
+            backPath = '/';
+          }
+        }
+        res.status(403).render('notice', {
+          title: 'Request blocked',
+          message,
+          link: backPath,
+          linkLabel: backPath === '/' ? 'Go to the home page' : 'Back to the form',
+        });
+      },
+    })
+  );
+
+  // Auth helpers
+  const requireAuth = (req, res, next) => {
+    if (!req.session.userId) {
+      return res.redirect('/login');
+    }
+    next();
+  };
+
+  // With REQUIRE_ADMIN_2FA=true, admins must have signed in with a second factor
+  // before they can use the admin pages
+  const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === 'true';
+
+  // Admin pages need a role whose permissions include `permission` (see
+  // lib/roles.js). Roles are re-read from the database on every request, so a
+  // revoked role stops working straight away; the session's isAdmin flag only
+  // decides whether the nav shows the admin link.
+  const requirePermission = (permission) => async (req, res, next) => {
+    if (!req.session.userId) {
+      return res.redirect('/login');
+    }
+    try {
+      const roles = await loadRoles(db, req.session.userId);
+      const permissions = permissionsFor(roles);
+      req.session.isAdmin = roles.length > 0;
+      res.locals.isAdmin = req.session.isAdmin;
+      res.locals.roles = roles;
+      res.locals.can = (name) => permissions.includes(name);
+
+      if (!permissions.includes(permission)) {
+        return res.status(403).render('notice', {
+          title: 'Not allowed',
+          message: roles.length > 0
+            ? 'Your role does not allow this action. Ask a superadmin if you need access.'
+            : 'This page is only available to admins.',
+          link: roles.length > 0 ? '/admin/users' : '/',
+          linkLabel: roles.length > 0 ? 'Back to admin' : 'Go to the home page',
+        });
+      }
+      if (REQUIRE_ADMIN_2FA && !req.session.twoFactor) {
+        return res.redirect('/account/2fa?required=1');
+      }
+      req.permissions = permissions;
+      return next();
+    } catch (err) {
+      console.error('Admin check error:', err);
+      return res.status(500).send('Server error');
+    }
+  };
+
+  // Map a news_posts row onto the Webz.io post shape used by partials/news-card.ejs
+  const savedArticleToPost = (row) => ({
+    title: row.title,
+    url: row.url,
+    published: row.published_at,
+    author: row.author,
+    text: row.excerpt,
+    categories: row.category ? [row.category] : [],
+    thread: {
+      main_image: row.image_url,
+      site: row.site,
+    },
+  });
+
+  // Tags are stored lowercase so "Science" and "science" are the same tag
+  const MAX_TAGS_PER_ARTICLE = 10;
+
+  const normalizeTag = (tag) => String(tag).trim().toLowerCase().slice(0, 50);
+
+  const parseTags = (input) => {
+    const raw = Array.isArray(input) ? input : String(input || '').split(',');
+    return [...new Set(raw.map(normalizeTag).filter(Boolean))];
+  };
+
+  // Personal blocklists are posted as newline- or comma-separated text
+  const MAX_PERSONAL_RULES = 50;
+
+  const parseRuleList = (type, input) =>
+    [...new Set(String(input || '').split(/[\n,]/).map((value) => normalizeRuleValue(type, value)).filter(Boolean))]
+      .slice(0, MAX_PERSONAL_RULES);
+
+  // Country used for feeds when the user is signed out or has no usable country
+  const DEFAULT_COUNTRY = process.env.DEFAULT_NEWS_COUNTRY || 'US';
+
+  // Feed settings for a user, or the defaults for anonymous visitors:
+  //   country  - ISO code from person.country
+  //   scope    - 'national' or 'local'
+  //   location - city (or US state name) for the local section, if known
+  //   rules / contentFilter - the global + personal content rules and their filter
+  const loadFeedSettings = async (userId) => {
+    let rules = { keywords: [], domains: [], categories: [], minSentiment: null };
+    try {
+      rules = await contentRules.forUser(userId);
+    } catch (err) {
+      // Fall back to the provider's own sentiment filter rather than failing the page
+      console.error('Error loading content rules:', err.message);
+    }
+    const settings = {
+      hideRead: false,
+      country: DEFAULT_COUNTRY,
+      scope: 'national',
+      location: null,
+      locationLabel: null,
+      rules,
+      contentFilter: buildContentFilter(rules),
+    };
+    if (!userId) {
+      return settings;
+    }
+
+    const person = await db('person')
+      .select('hide_read', 'city', 'state', 'country', 'news_scope')
+      .where({ user_id: userId })
+      .first();
+    if (!person) {
+      return settings;
+    }
+
+    const city = person.city ? person.city.trim() : '';
+    return {
+      ...settings,
+      hideRead: !!person.hide_read,
+      country: countryCode(person.country) || DEFAULT_COUNTRY,
+      scope: person.news_scope === 'local' ? 'local' : 'national',
+      location: city || stateName(person.state),
+      locationLabel: [city, person.state].filter(Boolean).join(', ') || null,
+    };
+  };
+
+  // Run a page of posts through the content filter and, for a signed-in user,
+  // attach saved/read state (dropping read/dismissed posts if they turned on
+  // "hide already-read")
+  const preparePosts = async (userId, posts, settings) => {
+    const filtered = settings.contentFilter(posts);
+    if (!userId) {
+      return filtered;
+    }
+    const interactions = await loadInteractions(db, userId, filtered.map((post) => post.url));
+    return applyInteractions(filtered, interactions, { hideRead: settings.hideRead });
+  };
+
+  // ------------------------------------------------------------
+  // Routes
+  // ------------------------------------------------------------
+
+  // Home feed for a user (or anonymous visitor): an optional local section, then
+  // one section per topic (highest weight first), or general news without topics.
+  // Shared by the / page and the personal syndication feeds.
+  const loadHomeFeed = async (userId) => {
+    let newsCategories = null; // Array of { category: string, weight: number, news: array }
+    let news = null; // Flat list for users without topics
+    let localSection = null; // { label: string, news: array } when the user picked local scope
+
+    // Fetch the user's topic subscriptions and feed settings from the database
+    const [settings, topics] = await Promise.all([
+      loadFeedSettings(userId),
+      userId ? loadTopics(db, userId) : [],
+    ]);
+    const { hideRead, country, contentFilter } = settings;
+    const userTopics = topics.filter((topic) => !settings.rules.categories.includes(topic.category));
+
+    if (settings.scope === 'local' && settings.location && newsProvider.capabilities.location) {
+      try {
+        const result = await newsProvider.search({
+          country,
+          location: settings.location,
+          sentiment: 'positive',
+        });
+        localSection = { label: settings.locationLabel, news: contentFilter(result.posts) };
+      } catch (err) {
+        console.error(`Error fetching local news for ${settings.location}:`, err.message);
+        localSection = { label: settings.locationLabel, news: [] };
+      }
+    }
+
+    if (userTopics.length > 0) {
+      // Make separate API calls for each topic, highest weight first
+      const apiCalls = userTopics.map(async (topic) => {
+        try {
+          const result = await newsProvider.search({
+            category: topic.category,
+            country: topic.country || country,
+            sentiment: 'positive',
+          });
+          return {
+            category: topic.category,
+            weight: topic.weight,
+            news: contentFilter(result.posts),
+          };
+        } catch (err) {
+          console.error(`Error fetching news for category ${topic.category}:`, err.message);
+          return {
+            category: topic.category,
+            weight: topic.weight,
+            news: [],
+          };
+        }
+      });
+
+      // Wait for all API calls to complete
+      newsCategories = await Promise.all(apiCalls);
+    } else {
+      // No topics set - fetch general positive news
+      const result = await newsProvider.search({
+        country,
+        sentiment: 'positive',
+      });
+      news = contentFilter(result.posts);
+    }
+
+    // Mark saved/read articles and hide read ones if the user asked for that
+    if (userId) {
+      const urls = (newsCategories || []).flatMap((section) => section.news.map((post) => post.url))
+        .concat((news || []).map((post) => post.url))
+        .concat(localSection ? localSection.news.map((post) => post.url) : []);
+      const interactions = await loadInteractions(db, userId, urls);
+      if (localSection) {
+        localSection.news = applyInteractions(localSection.news, interactions, { hideRead });
+      }
+      if (newsCategories) {
+        newsCategories = newsCategories.map((section) => ({
+          ...section,
+          news: applyInteractions(section.news, interactions, { hideRead }),
+        }));
+      }
+      if (news) {
+        news = applyInteractions(news, interactions, { hideRead });
+      }
+    }
+
+    return { newsCategories, news, localSection, userTopics };
+  };
+
+  // index page is displayed at root URL
+  app.get('/', async (req, res) => {
+    try {
+      const { newsCategories, news, localSection, userTopics } = await loadHomeFeed(req.session.userId);
+
+      res.render('index', { newsCategories, news, localSection, error: null, userTopics });
+    } catch (error) {
+      console.error('Error fetching news:', error);
+      res.status(500).render('index', {
+        newsCategories: [],
+        news: [],
+        localSection: null,
+        error: 'Error fetching news',
+        userTopics: [],
+      });
+    }
+  });
+
+  // Category page - shows articles for a specific category, one page at a time.
+  // ?cursor= resumes from the `next` cursor of a previous page.
+  app.get('/category/:categoryName', async (req, res) => {
+    const categoryName = decodeURIComponent(req.params.categoryName);
+    try {
+      const settings = await loadFeedSettings(req.session.userId);
+      const result = await newsProvider.search({
+        category: categoryName,
+        country: settings.country,
+        sentiment: 'positive',
+        page: decodeCursor(req.query.cursor),
+      });
+
+      res.render('category', {
+        category: categoryName,
+        news: await preparePosts(req.session.userId, result.posts, settings),
+        totalResults: result.totalResults,
+        nextCursor: encodeCursor(result.next),
+        error: null,
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_CURSOR') {
+        return res.status(400).render('category', {
+          category: categoryName,
+          news: [],
+          totalResults: 0,
+          nextCursor: null,
+          error: 'That page of results is no longer available.',
+        });
+      }
+      console.error('Error fetching category news:', error);
+      res.status(500).render('category', {
+        category: categoryName,
+        news: [],
+        totalResults: 0,
+        nextCursor: null,
+        error: 'Error fetching news',
+      });
+    }
+  });
+
+  // Next page of a category as JSON, used by "load more" / infinite scroll on category.ejs
+  app.get('/category/:categoryName/more', async (req, res) => {
+    const categoryName = decodeURIComponent(req.params.categoryName);
+    try {
+      if (!req.query.cursor) {
+        return res.status(400).json({ success: false, message: 'Cursor is required' });
+      }
+
+      const settings = await loadFeedSettings(req.session.userId);
+      const result = await newsProvider.search({
+        category: categoryName,
+        country: settings.country,
+        sentiment: 'positive',
+        page: decodeCursor(req.query.cursor),
+      });
+
+      const posts = await preparePosts(req.session.userId, result.posts, settings);
+      const cards = await Promise.all(
+        posts.map((post) =>
+          ejs.renderFile(path.join(__dirname, 'views', 'partials', 'news-card.ejs'), {
+            post,
+            category: categoryName,
+            action: 'save',
+            dismissible: !!req.session.userId,
+          })
+        )
+      );
+
+      res.json({
+        success: true,
+        posts,
+        html: cards.join('\n'),
+        nextCursor: encodeCursor(result.next),
+        moreResultsAvailable: result.moreResultsAvailable,
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_CURSOR') {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+      }
+      console.error('Error fetching more category news:', error);
+      res.status(500).json({ success: false, message: 'Error fetching news' });
+    }
+  });
+
+  // Search positive news by keyword, optionally narrowed to a category and a
+  // publish-date range (YYYY-MM-DD). ?cursor= pages through the results.
+  const MAX_SEARCH_LENGTH = 200;
+
+  const parseDateParam = (value, endOfDay = false) => {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return null;
+    }
+    const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+
+  app.get('/search', async (req, res) => {
+    const searchQuery = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, MAX_SEARCH_LENGTH) : '';
+    const category = CATEGORIES.includes(req.query.category) ? req.query.category : '';
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    const filters = {
+      category,
+      from: from ? req.query.from : '',
+      to: to ? req.query.to : '',
+    };
+
+    // Query string without the cursor, for the pagination links
+    const baseQueryString = new URLSearchParams(
+      Object.entries({ q: searchQuery, ...filters }).filter(([, value]) => value)
+    ).toString();
+
+    const renderSearch = (status, locals) =>
+      res.status(status).render('search', {
+        searchQuery,
+        filters,
+        baseQueryString,
+        news: [],
+        totalResults: 0,
+        nextCursor: null,
+        isFirstPage: !req.query.cursor,
+        error: null,
+        ...locals,
+      });
+
+    if (!searchQuery) {
+      return renderSearch(200, {});
+    }
+    if (from && to && from > to) {
+      return renderSearch(400, { error: 'The start date must be before the end date.' });
+    }
+
+    try {
+      const settings = await loadFeedSettings(req.session.userId);
+      const result = await newsProvider.search({
+        query: searchQuery,
+        category: category || undefined,
+        country: settings.country,
+        from,
+        to,
+        sentiment: 'positive',
+        page: decodeCursor(req.query.cursor),
+      });
+
+      return renderSearch(200, {
+        news: await preparePosts(req.session.userId, result.posts, settings),
+        totalResults: result.totalResults,
+        nextCursor: encodeCursor(result.next),
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_CURSOR') {
+        return renderSearch(400, { error: 'That page of results is no longer available.' });
+      }
+      console.error('Error searching news:', error);
+      return renderSearch(500, { error: 'Error searching news' });
+    }
+  });
+
+  // Saved articles for a user, newest first. `collection` is a collection_id or
+  // 'none' for unfiled articles; `tag` limits to articles with that tag.
+  const savedArticlesQuery = (userId, { collection = '', tag = '' } = {}) => {
+    let query = db('news_posts')
+      .where('news_posts.user_id', userId)
+      .select(
+        'news_posts.user_id',
+        'news_posts.title',
+        'news_posts.url',
+        'news_posts.image_url',
+        'news_posts.published_at',
+        'news_posts.site',
+        'news_posts.author',
+        'news_posts.excerpt',
+        'news_posts.category',
+        'news_posts.collection_id'
+      )
+      .orderBy('news_posts.saved_at', 'desc');
+
+    if (collection === 'none') {
+      query = query.whereNull('news_posts.collection_id');
+    } else if (collection) {
+      query = query.where('news_posts.collection_id', Number.parseInt(collection, 10) || 0);
+    }
+
+    if (tag) {
+      query = query.whereExists(
+        db('article_tags')
+          .whereRaw('article_tags.user_id = news_posts.user_id')
+          .whereRaw('article_tags.url = news_posts.url')
+          .where('article_tags.tag', tag)
+      );
+    }
+    return query;
+  };
+
+  // saved articles page (requires login)
+  // Route: /saved -> renders views/saved.ejs
+  // Optional filters: ?collection=<collection_id | none> and ?tag=<tag>
+  app.get('/saved', async (req, res) => {
+    if (!req.session.userId) {
+      return res.redirect('/login');
+    }
+
+    const userId = req.session.userId;
+    const collectionFilter = req.query.collection || '';
+    const tagFilter = req.query.tag ? normalizeTag(req.query.tag) : '';
+
+    try {
+      const collections = await db('collections')
+        .where({ user_id: userId })
+        .select('collection_id', 'name')
+        .orderBy('name', 'asc');
+
+      const [rows, tagRows] = await Promise.all([
+        savedArticlesQuery(userId, { collection: collectionFilter, tag: tagFilter }),
+        db('article_tags').where({ user_id: userId }).select('url', 'tag').orderBy('tag', 'asc'),
+      ]);
+
+      const tagsByUrl = {};
+      tagRows.forEach(({ url, tag }) => {
+        (tagsByUrl[url] = tagsByUrl[url] || []).push(tag);
+      });
+
+      res.render('saved', {
+        savedArticles: rows.map((row) => ({
+          ...savedArticleToPost(row),
+          collection_id: row.collection_id,
+          tags: tagsByUrl[row.url] || [],
+        })),
+        collections,
+        allTags: [...new Set(tagRows.map(({ tag }) => tag))],
+        filters: { collection: collectionFilter, tag: tagFilter },
+        error: null,
+      });
+    } catch (error) {
+      console.error('Error fetching saved articles:', error);
+      res.status(500).render('saved', {
+        savedArticles: [],
+        collections: [],
+        allTags: [],
+        filters: { collection: collectionFilter, tag: tagFilter },
+        error: 'Error loading saved articles',
+      });
+    }
+  });
+
+  // Create a reading-list collection (requires login)
+  app.post('/collections', requireAuth, async (req, res) => {
+    const name = (req.body.name || '').trim().slice(0, 100);
+    if (!name) {
+      return res.redirect('/saved');
+    }
+
+    try {
+      const existing = await db('collections')
+        .where({ user_id: req.session.userId, name })
+        .first();
+      if (existing) {
+        return res.redirect(`/saved?collection=${existing.collection_id}`);
+      }
+
+      const [collection] = await db('collections')
+        .insert({ user_id: req.session.userId, name })
+        .returning(['collection_id']);
+      return res.redirect(`/saved?collection=${collection.collection_id}`);
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      return res.redirect('/saved');
+    }
+  });
+
+  // Delete a collection; its articles stay saved but become unfiled
+  app.post('/collections/:id/delete', requireAuth, async (req, res) => {
+    try {
+      await db('collections')
+        .where({ collection_id: Number.parseInt(req.params.id, 10) || 0, user_id: req.session.userId })
+        .del();
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+    }
+    return res.redirect('/saved');
+  });
+
+  // ------------------------------------------------------------
+  // Syndication feeds (RSS 2.0, Atom, JSON Feed). Personal feeds are addressed by
+  // the user's secret feed token instead of the session, so feed readers can
+  // fetch them; category feeds are public.
+  // ------------------------------------------------------------
+  const FEED_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+  const siteUrl = (req) => (process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+  const sendFeed = (req, res, format, feed) => {
+    res.type(FORMATS[format]).send(
+      renderFeed(format, { ...feed, feedUrl: `${siteUrl(req)}${req.originalUrl}` })
+    );
+  };
+
+  const findFeedUser = (token) =>
+    FEED_TOKEN_PATTERN.test(token)
+      ? db('users').select('user_id', 'username').where({ feed_token: token }).whereNull('deleted_at').first()
+      : null;
+
+  app.get('/feeds/category/:categoryName.:format', async (req, res) => {
+    const { categoryName, format } = req.params;
+    if (!isFeedFormat(format) || !CATEGORIES.includes(categoryName)) {
+      return res.status(404).send('Feed not found');
+    }
+
+    try {
+      const settings = await loadFeedSettings(null);
+      if (settings.rules.categories.includes(categoryName)) {
+        return res.status(404).send('Feed not found');
+      }
+      const result = await newsProvider.search({
+        category: categoryName,
+        country: settings.country,
+        sentiment: 'positive',
+      });
+
+      res.set('Cache-Control', 'public, max-age=600');
+      sendFeed(req, res, format, {
+        title: `Only Good News: ${categoryName}`,
+        description: `Positive ${categoryName} news`,
+        link: `${siteUrl(req)}/category/${encodeURIComponent(categoryName)}`,
+        items: settings.contentFilter(result.posts),
+      });
+    } catch (error) {
+      console.error('Error building category feed:', error);
+      res.status(500).send('Error building feed');
+    }
+  });
+
+  app.get('/feeds/:token/home.:format', async (req, res) => {
+    const { token, format } = req.params;
+    try {
+      const user = isFeedFormat(format) ? await findFeedUser(token) : null;
+      if (!user) {
+        return res.status(404).send('Feed not found');
+      }
+
+      const { newsCategories, news, localSection } = await loadHomeFeed(user.user_id);
+      const seen = new Set();
+      const items = [
+        ...(localSection ? localSection.news : []),
+        ...(newsCategories || []).flatMap((section) => section.news),
+        ...(news || []),
+      ].filter((post) => !seen.has(post.url) && seen.add(post.url));
+
+      res.set('Cache-Control', 'private, max-age=300');
+      sendFeed(req, res, format, {
+        title: `Only Good News for ${user.username}`,
+        description: 'Your personalized good news feed',
+        link: `${siteUrl(req)}/`,
+        items,
+      });
+    } catch (error) {
+      console.error('Error building home feed:', error);
+      res.status(500).send('Error building feed');
+    }
+  });
+
+  // Saved list; accepts the same ?collection= and ?tag= filters as /saved
+  app.get('/feeds/:token/saved.:format', async (req, res) => {
+    const { token, format } = req.params;
+    try {
+      const user = isFeedFormat(format) ? await findFeedUser(token) : null;
+      if (!user) {
+        return res.status(404).send('Feed not found');
+      }
+
+      const rows = await savedArticlesQuery(user.user_id, {
+        collection: req.query.collection || '',
+        tag: req.query.tag ? normalizeTag(req.query.tag) : '',
+      });
+
+      res.set('Cache-Control', 'private, max-age=300');
+      sendFeed(req, res, format, {
+        title: `${user.username}'s saved articles - Only Good News`,
+        description: 'Articles saved on Only Good News',
+        link: `${siteUrl(req)}/saved`,
+        items: rows.map(savedArticleToPost),
+      });
+    } catch (error) {
+      console.error('Error building saved feed:', error);
+      res.status(500).send('Error building feed');
+    }
+  });
+
+  // Digest settings for the preferences page; defaults when the user hasn't opted in
+  const DEFAULT_DIGEST = {
+    email: '',
+    emailVerified: false,
+    frequency: 'off',
+    send_hour: 7,
+    weekday: 1,
+    timezone: 'America/Denver',
+  };
+
+  const loadDigestSettings = async (userId) => {
+    const [user, subscription] = await Promise.all([
+      db('users').select('email', 'email_verified_at').where({ user_id: userId }).first(),
+      db('digest_subscriptions').where({ user_id: userId }).first(),
+    ]);
+    return {
+      ...DEFAULT_DIGEST,
+      ...(subscription && {
+        frequency: subscription.frequency,
+        send_hour: subscription.send_hour,
+        weekday: subscription.weekday,
+        timezone: subscription.timezone,
+      }),
+      email: user?.email || '',
+      emailVerified: !!user?.email_verified_at,
+    };
+  };
+
+  // Personal feed token, or null if the user hasn't turned feeds on
+  const loadFeedToken = async (userId) => {
+    const user = await db('users').select('feed_token').where({ user_id: userId }).first();
+    return user?.feed_token || null;
+  };
+
+  // Form values for the preferences page as currently stored
+  const loadPreferenceValues = async (userId) => {
+    const [person, topics, rules, feedToken] = await Promise.all([
+      db('person')
+        .select('hide_read', 'news_scope', 'city', 'state', 'min_sentiment')
+        .where({ user_id: userId })
+        .first(),
+      loadTopics(db, userId),
+      db('content_rules').where({ user_id: userId }).select('rule_type', 'value').orderBy('value'),
+      loadFeedToken(userId),
+    ]);
+    return {
+      location: [person?.city, person?.state].filter(Boolean).join(', '),
+      feedToken,
+      values: {
+        topics,
+        hide_read: !!person?.hide_read,
+        news_scope: person?.news_scope || 'national',
+        blocked_keywords: rules.filter((rule) => rule.rule_type === 'keyword').map((rule) => rule.value).join('\n'),
+        blocked_domains: rules.filter((rule) => rule.rule_type === 'domain').map((rule) => rule.value).join('\n'),
+        min_sentiment: person?.min_sentiment ?? '',
+      },
+    };
+  };
+
+  const parseIntInRange = (value, min, max, fallback) => {
+    const number = Number.parseInt(value, 10);
+    return Number.isInteger(number) && number >= min && number <= max ? number : fallback;
+  };
+
+  // Store feed preferences, topics and personal blocklists in one transaction.
+  // Returns the person's city/state for the local-news hint.
+  const savePreferences = (userId, { topics, hide_read, news_scope, min_sentiment, blockedKeywords, blockedDomains }) =>
+    db.transaction(async (trx) => {
+      await trx('person')
+        .where({ user_id: userId })
+        .update({ hide_read, news_scope, min_sentiment });
+      await replaceTopics(trx, userId, topics);
+      await trx('content_rules').where({ user_id: userId }).del();
+      const rules = [
+        ...blockedKeywords.map((value) => ({ rule_type: 'keyword', value })),
+        ...blockedDomains.map((value) => ({ rule_type: 'domain', value })),
+      ];
+      if (rules.length > 0) {
+        await trx('content_rules').insert(rules.map((rule) => ({ ...rule, user_id: userId, created_by: userId })));
+      }
+      return trx('person').select('city', 'state').where({ user_id: userId }).first();
+    });
+
+  // preferences page (requires login)
+  app.get('/preferences', async (req, res) => {
+    if (!req.session.userId) {
+      return res.redirect('/login');
+    }
+
+    try {
+      const [{ location, feedToken, values }, digest] = await Promise.all([
+        loadPreferenceValues(req.session.userId),
+        loadDigestSettings(req.session.userId),
+      ]);
+
+      res.render('preferences', { error: null, success: null, location, digest, feedToken, values });
+    } catch (error) {
+      console.error('Error loading preferences:', error);
+      res.render('preferences', {
+        error: 'Unable to load your preferences.',
+        success: null,
+        location: '',
+        digest: DEFAULT_DIGEST,
+        feedToken: null,
+        values: {
+          topics: [],
+          hide_read: false,
+          news_scope: 'national',
+          blocked_keywords: '',
+          blocked_domains: '',
+          min_sentiment: '',
+        },
+      });
+    }
+  });
+
+  // Update preferences (requires login)
+  app.post('/preferences', async (req, res) => {
+    if (!req.session.userId) {
+      return res.redirect('/login');
+    }
+
+    const topics = parseTopics(req.body.topics);
+    const hide_read = req.body.hide_read === 'on';
+    const news_scope = req.body.news_scope === 'local' ? 'local' : 'national';
+    const min_sentiment = parseSentiment(req.body.min_sentiment);
+    const blockedKeywords = parseRuleList('keyword', req.body.blocked_keywords);
+    const blockedDomains = parseRuleList('domain', req.body.blocked_domains);
+    let location = '';
+    let digest = DEFAULT_DIGEST;
+    let feedToken = null;
+
+    try {
+      const person = await savePreferences(req.session.userId, {
+        topics,
+        hide_read,
+        news_scope,
+        min_sentiment,
+        blockedKeywords,
+        blockedDomains,
+      });
+      location = [person?.city, person?.state].filter(Boolean).join(', ');
+      [digest, feedToken] = await Promise.all([
+        loadDigestSettings(req.session.userId),
+        loadFeedToken(req.session.userId),
+      ]);
+
+      res.render('preferences', {
+        error: null,
+        success: 'Your preferences have been saved!',
+        location,
+        digest,
+        feedToken,
+        values: {
+          topics,
+          hide_read,
+          news_scope,
+          blocked_keywords: blockedKeywords.join('\n'),
+          blocked_domains: blockedDomains.join('\n'),
+          min_sentiment: min_sentiment ?? '',
+        },
+      });
+    } catch (error) {
+      console.error('Error saving preferences:', error);
+      res.render('preferences', {
+        error: 'Unable to save your preferences. Please try again.',
+        success: null,
+        location,
+        digest,
+        feedToken,
+        values: {
+          topics,
+          hide_read,
+          news_scope,
+          blocked_keywords: blockedKeywords.join('\n'),
+          blocked_domains: blockedDomains.join('\n'),
+          min_sentiment: min_sentiment ?? '',
+        },
+      });
+    }
+  });
+
+  // Update email digest settings (requires login)
+  app.post('/preferences/digest', async (req, res) => {
+    if (!req.session.userId) {
+      return res.redirect('/login');
+    }
+
+    const frequency =
+      !req.body.unsubscribe && FREQUENCIES.includes(req.body.frequency) ? req.body.frequency : 'off';
+    const send_hour = parseIntInRange(req.body.send_hour, 0, 23, DEFAULT_DIGEST.send_hour);
+    const weekday = parseIntInRange(req.body.weekday, 0, 6, DEFAULT_DIGEST.weekday);
+    const timezone = TIMEZONES.includes(req.body.timezone) ? req.body.timezone : DEFAULT_DIGEST.timezone;
+    let digest = { ...DEFAULT_DIGEST, frequency, send_hour, weekday, timezone };
+
+    const renderWith = async (status, message) => {
+      const { location, feedToken, values } = await loadPreferenceValues(req.session.userId);
+      res.status(status).render('preferences', {
+        error: status === 200 ? null : message,
+        success: status === 200 ? message : null,
+        location,
+        digest,
+        feedToken,
+        values,
+      });
+    };
+
+    try {
+      // Digests only go to verified addresses, managed on the account page
+      const { email, emailVerified } = await loadDigestSettings(req.session.userId);
+      digest = { ...digest, email, emailVerified };
+      if (frequency !== 'off' && !emailVerified) {
+        return await renderWith(400, 'Verify your email address on your account page before turning on the digest.');
+      }
+
+      await db.transaction(async (trx) => {
+        const existing = await trx('digest_subscriptions').where({ user_id: req.session.userId }).first();
+        if (existing) {
+          await trx('digest_subscriptions')
+            .where({ user_id: req.session.userId })
+            .update({ frequency, send_hour, weekday, timezone, updated_at: trx.fn.now() });
+        } else {
+          await trx('digest_subscriptions').insert({
+            user_id: req.session.userId,
+            frequency,
+            send_hour,
+            weekday,
+            timezone,
+            unsubscribe_token: newUnsubscribeToken(),
+          });
+        }
+      });
+
+      await renderWith(200, frequency === 'off' ? 'Email digest turned off.' : 'Your digest settings have been saved!');
+    } catch (error) {
+      console.error('Error saving digest settings:', error);
+      res.redirect('/preferences');
+    }
+  });
+
+  // One-click unsubscribe link from digest emails (no login needed)
+  app.get('/digest/unsubscribe', async (req, res) => {
+    const token = String(req.query.token || '');
+    let unsubscribed = false;
+
+    try {
+      if (token) {
+        const updated = await db('digest_subscriptions')
+          .where({ unsubscribe_token: token })
+          .update({ frequency: 'off', updated_at: db.fn.now() });
+        unsubscribed = updated > 0;
+      }
+    } catch (error) {
+      console.error('Error unsubscribing from digest:', error);
+    }
+
+    res.status(unsubscribed ? 200 : 404).render('unsubscribe', { unsubscribed });
+  });
+
+  // Turn personal feeds on (or issue a new token, which breaks the old URLs) or off
+  app.post('/preferences/feeds', requireAuth, async (req, res) => {
+    try {
+      await db('users')
+        .where({ user_id: req.session.userId })
+        .update({ feed_token: req.body.action === 'disable' ? null : newFeedToken() });
+    } catch (error) {
+      console.error('Error updating feed token:', error);
+    }
+    res.redirect('/preferences#feeds');
+  });
+
+  // ------------------------------------------------------------
+  // Account emails: verification and password reset links
+  // ------------------------------------------------------------
+  const normalizeEmail = (value) => String(value || '').trim().toLowerCase();
+
+  const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && email.length <= 254;
+
+  // Returns an error message, or null if the new password is acceptable
+  const validateNewPassword = (password, confirmPassword) => {
+    if (!password) {
+      return 'Please enter a new password.';
+    }
+    if (password !== confirmPassword) {
+      return 'Passwords do not match.';
+    }
+    if (password.length < 8) {
+      return 'Password must be at least 8 characters.';
+    }
+    return null;
+  };
+
+  const sendAccountEmail = async (to, locals) => {
+    const [html, text] = await Promise.all([
+      ejs.renderFile(path.join(__dirname, 'views', 'emails', 'account.ejs'), locals),
+      ejs.renderFile(path.join(__dirname, 'views', 'emails', 'account-text.ejs'), locals),
+    ]);
+    await mailer.send({ to, subject: locals.subject, html, text });
+  };
+
+  const sendVerificationEmail = async (req, user) => {
+    const token = await issueUserToken(db, user.user_id, 'verify_email', user.email);
+    await sendAccountEmail(user.email, {
+      subject: 'Confirm your email address',
+      username: user.username,
+      intro: 'Please confirm this is your email address so we can send you digests and account emails.',
+      actionLabel: 'Confirm email address',
+      actionUrl: `${siteUrl(req)}/verify-email?token=${token}`,
+      footer: `This link expires in ${TOKEN_TTL_SECONDS.verify_email / 3600} hours. If you didn't sign up for Only Good News, you can ignore this email.`,
+    });
+  };
+
+  const sendPasswordResetEmail = async (req, user) => {
+    const token = await issueUserToken(db, user.user_id, 'reset_password');
+    await sendAccountEmail(user.email, {
+      subject: 'Reset your password',
+      username: user.username,
+      intro: 'Someone (hopefully you) asked to reset the password for your Only Good News account.',
+      actionLabel: 'Choose a new password',
+      actionUrl: `${siteUrl(req)}/reset-password?token=${token}`,
+      footer: `This link expires in ${TOKEN_TTL_SECONDS.reset_password / 60} minutes and can only be used once. If you didn't ask for it, you can ignore this email.`,
+    });
+  };
+
+  app.get('/verify-email', async (req, res) => {
+    try {
+      const row = await consumeUserToken(db, String(req.query.token || ''), 'verify_email');
+      // Only verify if the address hasn't changed since the link was sent
+      const updated = await db('users')
+        .where({ user_id: row.user_id, email: row.data })
+        .update({ email_verified_at: db.fn.now() });
+      if (updated === 0) {
+        throw new Error('INVALID_TOKEN');
+      }
+      return res.render('notice', {
+        title: 'Email confirmed',
+        message: 'Thanks! Your email address is verified.',
+        link: req.session.userId ? '/account' : '/login',
+        linkLabel: req.session.userId ? 'Back to your account' : 'Sign in',
+      });
+    } catch (error) {
+      if (error.message !== 'INVALID_TOKEN') {
+        console.error('Error verifying email:', error);
+      }
+      return res.status(400).render('notice', {
+        title: 'Link not valid',
+        message: 'This verification link is invalid or has expired. You can send a new one from your account page.',
+        link: '/account',
+        linkLabel: 'Go to your account',
+      });
+    }
+  });
+
+  app.get('/forgot-password', (req, res) => {
+    res.render('forgot-password', { error: null, message: null, values: { email: '' } });
+  });
+
+  // Always answers the same way so the form can't be used to find out which
+  // addresses have accounts
+  app.post('/forgot-password', async (req, res) => {
+    const email = normalizeEmail(req.body.email);
+    if (!isValidEmail(email)) {
+      return res.status(400).render('forgot-password', {
+        error: 'Please enter a valid email address.',
+        message: null,
+        values: { email },
+      });
+    }
+
+    try {
+      const user = await db('users')
+        .select('user_id', 'username', 'email')
+        .where({ email })
+        .whereNull('deleted_at')
+        .first();
+      if (user) {
+        await sendPasswordResetEmail(req, user);
+      }
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+    }
+    return res.render('forgot-password', {
+      error: null,
+      message: 'If an account uses that address, we sent it a link to reset the password.',
+      values: { email: '' },
+    });
+  });
+
+  app.get('/reset-password', async (req, res) => {
+    const token = String(req.query.token || '');
+    try {
+      if (!(await findUserToken(db, token, 'reset_password'))) {
+        return res.status(400).render('reset-password', { token: null, error: null });
+      }
+      return res.render('reset-password', { token, error: null });
+    } catch (error) {
+      console.error('Error loading password reset:', error);
+      return res.status(500).render('reset-password', { token: null, error: 'Something went wrong. Please try again.' });
+    }
+  });
+
+  app.post('/reset-password', async (req, res) => {
+    const token = String(req.body.token || '');
+    const passwordError = validateNewPassword(req.body.password, req.body.confirm_password);
+    if (passwordError) {
+      return res.status(400).render('reset-password', { token, error: passwordError });
+    }
+
+    try {
+      const passwordHash = await bcrypt.hash(req.body.password, 10);
+      const userId = await db.transaction(async (trx) => {
+        const row = await consumeUserToken(trx, token, 'reset_password');
+        // A successful reset also lifts any failed-login lockout
+        await trx('users').where({ user_id: row.user_id }).update({ password: passwordHash, locked_until: null });
+        return row.user_id;
+      });
+      // Whoever had the old password is signed out everywhere
+      await sessionStore.destroyForUser(userId);
+      return res.render('notice', {
+        title: 'Password changed',
+        message: 'Your password has been reset. You can sign in with it now.',
+        link: '/login',
+        linkLabel: 'Sign in',
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_TOKEN') {
+        return res.status(400).render('reset-password', { token: null, error: null });
+      }
+      console.error('Error resetting password:', error);
+      return res.status(500).render('reset-password', { token, error: 'Something went wrong. Please try again.' });
+    }
+  });
+
+  // ------------------------------------------------------------
+  // Account: profile, email verification, password, deletion and personal API
+  // tokens for /api/v1
+  // ------------------------------------------------------------
+  const renderAccount = async (
+    req,
+    res,
+    { status = 200, error = null, message = null, newToken = null, values = null } = {}
+  ) => {
+    let tokens = [];
+    let user = null;
+    let loginEvents = [];
+    let sessions = [];
+    try {
+      [tokens, user, loginEvents, sessions] = await Promise.all([
+        listApiTokens(db, req.session.userId),
+        db('users')
+          .select('username', 'email', 'email_verified_at', 'totp_enabled_at')
+          .where({ user_id: req.session.userId })
+          .first(),
+        recentLoginEvents(db, { userId: req.session.userId, limit: 10 }),
+        sessionStore.listForUser(req.session.userId),
+      ]);
+    } catch (err) {
+      console.error('Error loading account:', err);
+      error = error || 'Unable to load your account.';
+    }
+    res.status(status).render('account', {
+      profile: {
+        username: user?.username || req.session.username,
+        email: user?.email || '',
+        emailVerified: !!user?.email_verified_at,
+        twoFactorEnabled: !!user?.totp_enabled_at,
+        ...values,
+      },
+      tokens,
+      loginEvents,
+      sessions: sessions.map((row) => ({
+        key: sessionKey(row.sid),
+        current: row.sid === req.sessionID,
+        ip: row.ip,
+        user_agent: row.user_agent,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+      })),
+      newToken,
+      maxTokens: MAX_TOKENS_PER_USER,
+      rateLimit: API_RATE_LIMIT,
+      retentionDays: purgeJob.retentionDays,
+      error,
+      message,
+    });
+  };
+
+  // Active sessions are identified on the page by a hash of the session id, so
+  // the id itself (as good as the cookie) never appears in HTML
+  const sessionKey = (sid) => crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+
+  app.post('/account/sessions/revoke-others', requireAuth, async (req, res) => {
+    try {
+      const count = await sessionStore.destroyForUser(req.session.userId, { except: req.sessionID });
+      return renderAccount(req, res, {
+        message: count > 0 ? `Signed out ${count} other session${count === 1 ? '' : 's'}.` : 'No other sessions to sign out.',
+      });
+    } catch (error) {
+      console.error('Error signing out other sessions:', error);
+      return renderAccount(req, res, { status: 500, error: 'Unable to sign out your other sessions. Please try again.' });
+    }
+  });
+
+  app.post('/account/sessions/:key/revoke', requireAuth, async (req, res) => {
+    try {
+      const sessions = await sessionStore.listForUser(req.session.userId);
+      const target = sessions.find((row) => sessionKey(row.sid) === req.params.key && row.sid !== req.sessionID);
+      if (!target) {
+        return renderAccount(req, res, { status: 404, error: 'Session not found.' });
+      }
+      await sessionStore.destroyOne(req.session.userId, target.sid);
+      return renderAccount(req, res, { message: 'Session signed out.' });
+    } catch (error) {
+      console.error('Error signing out session:', error);
+      return renderAccount(req, res, { status: 500, error: 'Unable to sign out that session. Please try again.' });
+    }
+  });
+
+  // Change username and/or email. A new email address has to be verified again.
+  app.post('/account/profile', requireAuth, async (req, res) => {
+    const username = String(req.body.username || '').trim();
+    const email = normalizeEmail(req.body.email);
+    const values = { username, email };
+
+    if (!username) {
+      return renderAccount(req, res, { status: 400, error: 'Username is required.', values });
+    }
+    if (email && !isValidEmail(email)) {
+      return renderAccount(req, res, { status: 400, error: 'Please enter a valid email address.', values });
+    }
+
+    try {
+      const { emailChanged } = await db.transaction(async (trx) => {
+        const current = await trx('users').select('username', 'email').where({ user_id: req.session.userId }).first();
+        if (!current) {
+          throw new Error('NOT_FOUND');
+        }
+        if (username !== current.username && (await trx('users').where({ username }).first())) {
+          throw new Error('DUPLICATE_USER');
+        }
+        const changed = email !== (current.email || '');
+        if (changed && email && (await trx('users').where({ email }).first())) {
+          throw new Error('DUPLICATE_EMAIL');
+        }
+
+        await trx('users')
+          .where({ user_id: req.session.userId })
+          .update({
+            username,
+            ...(changed && { email: email || null, email_verified_at: null }),
+          });
+        return { emailChanged: changed };
+      });
+      req.session.username = username;
+
+      let message = 'Your profile has been updated.';
+      if (emailChanged && email) {
+        await sendVerificationEmail(req, { user_id: req.session.userId, username, email });
+        message = `Your profile has been updated. We sent a verification link to ${email}.`;
+      }
+      return renderAccount(req, res, { message });
+    } catch (error) {
+      if (error.message === 'DUPLICATE_USER') {
+        return renderAccount(req, res, { status: 409, error: 'That username is already taken.', values });
+      }
+      if (error.message === 'DUPLICATE_EMAIL') {
+        return renderAccount(req, res, { status: 409, error: 'That email address is already in use.', values });
+      }
+      console.error('Error updating profile:', error);
+      return renderAccount(req, res, { status: 500, error: 'Unable to update your profile. Please try again.', values });
+    }
+  });
+
+  // Send a fresh verification link to the current address
+  app.post('/account/verify-email', requireAuth, async (req, res) => {
+    try {
+      const user = await db('users')
+        .select('user_id', 'username', 'email', 'email_verified_at')
+        .where({ user_id: req.session.userId })
+        .first();
+      if (!user?.email) {
+        return renderAccount(req, res, { status: 400, error: 'Add an email address first.' });
+      }
+      if (user.email_verified_at) {
+        return renderAccount(req, res, { message: 'Your email address is already verified.' });
+      }
+      await sendVerificationEmail(req, user);
+      return renderAccount(req, res, { message: `We sent a new verification link to ${user.email}.` });
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      return renderAccount(req, res, { status: 500, error: 'Unable to send the email. Please try again.' });
+    }
+  });
+
+  app.post('/account/password', requireAuth, async (req, res) => {
+    const { current_password, password, confirm_password } = req.body;
+
+    const passwordError = validateNewPassword(password, confirm_password);
+    if (!current_password || passwordError) {
+      return renderAccount(req, res, { status: 400, error: passwordError || 'Enter your current password.' });
+    }
+
+    try {
+      const user = await db('users').select('password').where({ user_id: req.session.userId }).first();
+      if (!user || !(await bcrypt.compare(current_password, user.password))) {
+        return renderAccount(req, res, { status: 400, error: 'Your current password is incorrect.' });
+      }
+      await db('users')
+        .where({ user_id: req.session.userId })
+        .update({ password: await bcrypt.hash(password, 10) });
+      await sessionStore.destroyForUser(req.session.userId, { except: req.sessionID });
+      return renderAccount(req, res, { message: 'Your password has been changed and your other sessions signed out.' });
+    } catch (error) {
+      console.error('Error changing password:', error);
+      return renderAccount(req, res, { status: 500, error: 'Unable to change your password. Please try again.' });
+    }
+  });
+
+  // Delete the signed-in user's account (password required). Like the admin
+  // delete it's a soft delete: the purge job removes it after the retention period.
+  app.post('/account/delete', requireAuth, async (req, res) => {
+    const userId = req.session.userId;
+    try {
+      const user = await db('users').select('password').where({ user_id: userId }).first();
+      if (!user || !req.body.password || !(await bcrypt.compare(req.body.password, user.password))) {
+        return renderAccount(req, res, { status: 400, error: 'Enter your password to delete your account.' });
+      }
+
+      await db.transaction(async (trx) => {
+        // Same rule as the admin delete: the site keeps at least one superadmin
+        if ((await loadRoles(trx, userId)).includes('superadmin')) {
+          await ensureOtherSuperadmin(trx, userId);
+        }
+        const before = await snapshotTarget(trx, { userId });
+        await softDeletePerson(trx, before && before.personId, { deletedBy: userId });
+        await recordAudit(trx, {
+          actorId: userId,
+          actorUsername: req.session.username,
+          action: 'user.delete',
+          before,
+          after: await snapshotTarget(trx, { userId }),
+          ip: req.ip,
+        });
+      });
+      await sessionStore.destroyForUser(userId, { except: req.sessionID });
+      req.session.destroy(() => {
+        res.redirect('/');
+      });
+    } catch (error) {
+      if (error.message === 'LAST_SUPERADMIN') {
+        return renderAccount(req, res, {
+          status: 400,
+          error: 'You are the only superadmin. Grant the role to someone else before deleting your account.',
+        });
+      }
+      console.error('Error deleting account:', error);
+      return renderAccount(req, res, { status: 500, error: 'Unable to delete your account. Please try again.' });
+    }
+  });
+
+  app.get('/account', requireAuth, (req, res) => renderAccount(req, res));
+
+  app.post('/account/api-tokens', requireAuth, async (req, res) => {
+    const name = String(req.body.name || '').trim().slice(0, 100);
+    if (!name) {
+      return renderAccount(req, res, { status: 400, error: 'Give the token a name so you can recognise it later.' });
+    }
+
+    try {
+      const { token } = await createApiToken(db, req.session.userId, name);
+      return renderAccount(req, res, { status: 201, newToken: { name, token } });
+    } catch (error) {
+      if (error.message === 'TOO_MANY_TOKENS') {
+        return renderAccount(req, res, {
+          status: 400,
+          error: `You can have at most ${MAX_TOKENS_PER_USER} API tokens. Revoke one first.`,
+        });
+      }
+      console.error('Error creating API token:', error);
+      return renderAccount(req, res, { status: 500, error: 'Unable to create the token. Please try again.' });
+    }
+  });
+
+  app.post('/account/api-tokens/:id/revoke', requireAuth, async (req, res) => {
+    try {
+      const revoked = await revokeApiToken(db, req.session.userId, Number.parseInt(req.params.id, 10) || 0);
+      if (revoked === 0) {
+        return renderAccount(req, res, { status: 404, error: 'Token not found.' });
+      }
+      return renderAccount(req, res, { message: 'Token revoked. Apps using it will stop working.' });
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      return renderAccount(req, res, { status: 500, error: 'Unable to revoke the token. Please try again.' });
+    }
+  });
+
+  // Start a fresh session for a signed-in user (a new session id, so a session
+  // fixed before login is useless). twoFactor records whether this session
+  // passed a second-factor check (needed for admin pages with REQUIRE_ADMIN_2FA);
+  // meta is shown on the active-sessions list. isAdmin is true for any admin role.
+  const completeLogin = async (req, user, { twoFactor }) => {
+    const roles = await loadRoles(db, user.user_id);
+    await new Promise((resolve, reject) => {
+      req.session.regenerate((err) => {
+        if (err) {
+          return reject(err);
+        }
+        req.session.userId = user.user_id;
+        req.session.username = user.username;
+        req.session.isAdmin = roles.length > 0;
+        req.session.twoFactor = twoFactor;
+        req.session.meta = { ip: req.ip, userAgent: req.get('User-Agent'), signedInAt: new Date().toISOString() };
+        resolve();
+      });
+    });
+  };
+
+  // Accept a current TOTP code once: totp_last_step moves forward atomically so
+  // the same code can't be replayed, even by a concurrent request
+  const useTotpCode = async (user, code) => {
+    const step = verifyTotp(user.totp_secret, code, {
+      afterStep: user.totp_last_step === null ? null : Number(user.totp_last_step),
+    });
+    if (step === null) {
+      return false;
+    }
+    const updated = await db('users')
+      .where({ user_id: user.user_id })
+      .where((qb) => qb.whereNull('totp_last_step').orWhere('totp_last_step', '<', step))
+      .update({ totp_last_step: step });
+    return updated > 0;
+  };
+
+  const useRecoveryCode = async (userId, code) => {
+    const updated = await db('recovery_codes')
+      .where({ user_id: userId, code_hash: hashRecoveryCode(code) })
+      .whereNull('used_at')
+      .update({ used_at: db.fn.now() });
+    return updated > 0;
+  };
+
+  // Replace a user's recovery codes; returns the new plain codes to show once
+  const replaceRecoveryCodes = async (trx, userId) => {
+    const codes = generateRecoveryCodes();
+    await trx('recovery_codes').where({ user_id: userId }).del();
+    await trx('recovery_codes').insert(codes.map((code) => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+    return codes;
+  };
+
+  // "45 seconds", "3 minutes"
+  const formatWait = (seconds) =>
+    seconds < 60
+      ? `${seconds} second${seconds === 1 ? '' : 's'}`
+      : `${Math.ceil(seconds / 60)} minute${Math.ceil(seconds / 60) === 1 ? '' : 's'}`;
+
+  // login page is displayed at /login URL
+  app.get('/login', (req, res) => {
+    if (req.session.userId) {
+      return res.redirect('/');
+    }
+    res.render('login', { error: null, values: { username: '' } });
+  });
+
+  app.post('/login', async (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).render('login', {
+        error: 'Please provide both username and password.',
+        values: { username: username || '' },
+      });
+    }
+
+    const attempt = { username, ip: req.ip, userAgent: req.get('User-Agent') };
+
+    try {
+      // Soft-deleted accounts sign in like unknown usernames
+      const user = await db('users').where({ username }).whereNull('deleted_at').first();
+      const throttle = await loginThrottle.check(attempt);
+      if (!throttle.allowed) {
+        await loginThrottle.record({ ...attempt, userId: user?.user_id, success: false, reason: throttle.reason });
+        const wait = formatWait(throttle.retryAfterSeconds);
+        return res
+          .status(429)
+          .set('Retry-After', String(throttle.retryAfterSeconds))
+          .render('login', {
+            error:
+              throttle.reason === 'locked'
+                ? `This account is temporarily locked after too many failed sign-ins. Try again in ${wait}, or reset your password.`
+                : `Too many failed sign-in attempts. Please wait ${wait} and try again.`,
+            values: { username },
+          });
+      }
+
+      if (!user) {
+        await loginThrottle.record({ ...attempt, success: false, reason: 'unknown_user' });
+        return res.status(401).render('login', {
+          error: 'Invalid username or password.',
+          values: { username },
+        });
+      }
+
+      const isValid = await bcrypt.compare(password, user.password);
+      if (!isValid) {
+        const { locked } = await loginThrottle.record({
+          ...attempt,
+          userId: user.user_id,
+          success: false,
+          reason: 'bad_password',
+        });
+        return res.status(401).render('login', {
+          error: locked
+            ? `Too many failed sign-ins. This account is locked for ${loginThrottle.settings.lockoutMinutes} minutes.`
+            : 'Invalid username or password.',
+          values: { username },
+        });
+      }
+
+      // Password is right; accounts with two-factor auth get a second step
+      if (user.totp_enabled_at) {
+        req.session.pendingLogin = { userId: user.user_id, expiresAt: Date.now() + PENDING_LOGIN_MS };
+        return res.redirect('/login/2fa');
+      }
+
+      await loginThrottle.record({ ...attempt, userId: user.user_id, success: true, reason: 'ok' });
+      await completeLogin(req, user, { twoFactor: false });
+      if (REQUIRE_ADMIN_2FA && req.session.isAdmin) {
+        return res.redirect('/account/2fa?required=1');
+      }
+      return res.redirect('/');
+    } catch (error) {
+      console.error('Login error:', error);
+      return res.status(500).render('login', {
+        error: 'Something went wrong. Please try again.',
+        values: { username },
+      });
+    }
+  });
+
+  // Second sign-in step for accounts with two-factor auth: a code from the
+  // authenticator app, or one of the recovery codes
+  const PENDING_LOGIN_MS = 5 * 60 * 1000;
+
+  const pendingLoginUser = async (req) => {
+    const pending = req.session.pendingLogin;
+    if (!pending || pending.expiresAt < Date.now()) {
+      delete req.session.pendingLogin;
+      return null;
+    }
+    const user = await db('users').where({ user_id: pending.userId }).whereNull('deleted_at').first();
+    return user?.totp_enabled_at ? user : null;
+  };
+
+  app.get('/login/2fa', async (req, res) => {
+    try {
+      if (!(await pendingLoginUser(req))) {
+        return res.redirect('/login');
+      }
+      return res.render('login-2fa', { error: null });
+    } catch (error) {
+      console.error('Two-factor page error:', error);
+      return res.redirect('/login');
+    }
+  });
+
+  app.post('/login/2fa', async (req, res) => {
+    try {
+      const user = await pendingLoginUser(req);
+      if (!user) {
+        return res.redirect('/login');
+      }
+      const attempt = { username: user.username, ip: req.ip, userAgent: req.get('User-Agent'), userId: user.user_id };
+
+      const throttle = await loginThrottle.check(attempt);
+      if (!throttle.allowed) {
+        await loginThrottle.record({ ...attempt, success: false, reason: throttle.reason });
+        delete req.session.pendingLogin;
+        return res.status(429).set('Retry-After', String(throttle.retryAfterSeconds)).render('login', {
+          error: `Too many failed sign-in attempts. Please wait ${formatWait(throttle.retryAfterSeconds)} and try again.`,
+          values: { username: user.username },
+        });
+      }
+
+      const verified = req.body.recovery_code
+        ? await useRecoveryCode(user.user_id, req.body.recovery_code)
+        : await useTotpCode(user, req.body.code);
+      if (!verified) {
+        const { locked } = await loginThrottle.record({ ...attempt, success: false, reason: 'bad_totp' });
+        if (locked) {
+          delete req.session.pendingLogin;
+          return res.status(401).render('login', {
+            error: `Too many failed sign-ins. This account is locked for ${loginThrottle.settings.lockoutMinutes} minutes.`,
+            values: { username: user.username },
+          });
+        }
+        return res.status(401).render('login-2fa', { error: 'That code is not valid. Please try again.' });
+      }
+
+      await loginThrottle.record({ ...attempt, success: true, reason: 'ok' });
+      delete req.session.pendingLogin;
+      await completeLogin(req, user, { twoFactor: true });
+      return res.redirect('/');
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return res.status(500).render('login-2fa', { error: 'Something went wrong. Please try again.' });
+    }
+  });
+
+  app.get('/signup', (req, res) => {
+    if (req.session.userId) {
+      return res.redirect('/');
+    }
+    res.render('signup', {
+      error: null,
+      values: {
+        username: '',
+        email: '',
+        first_name: '',
+        last_name: '',
+        city: '',
+        state: '',
+        country: '',
+        topics: [],
+      },
+    });
+  });
+
+  app.post('/signup', async (req, res) => {
+    const {
+      username,
+      password,
+      confirm_password,
+      first_name,
+      last_name,
+      city,
+      state,
+      country,
+    } = req.body;
+    const topics = parseTopics(req.body.topics);
+    const email = normalizeEmail(req.body.email);
+
+    const renderWithError = (message) =>
+      res.status(400).render('signup', {
+        error: message,
+        values: {
+          username: username || '',
+          email,
+          first_name: first_name || '',
+          last_name: last_name || '',
+          city: city || '',
+          state: state || '',
+          country: country || '',
+          topics,
+        },
+      });
+
+    if (!username || !password) {
+      return renderWithError('Username and password are required.');
+    }
+
+    // Email is optional, but has to look like an address when given
+    if (email && !isValidEmail(email)) {
+      return renderWithError('Please enter a valid email address.');
+    }
+
+    const passwordError = validateNewPassword(password, confirm_password);
+    if (passwordError) {
+      return renderWithError(passwordError);
+    }
+
+    try {
+      const user = await db.transaction(async (trx) => {
+        const existingUser = await trx('users').where({ username }).first();
+        if (existingUser) {
+          throw new Error('DUPLICATE_USER');
+        }
+        if (email && (await trx('users').where({ email }).first())) {
+          throw new Error('DUPLICATE_EMAIL');
+        }
+
+        const normalizedState = state ? state.trim() : null;
+        const normalizedCountry = country ? country.trim() : null;
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        const [newUser] = await trx('users')
+          .insert({
+            username,
+            email: email || null,
+            password: passwordHash,
+          })
+          .returning(['user_id', 'username', 'email']);
+
+        await trx('person').insert({
+          user_id: newUser.user_id,
+          first_name: first_name || null,
+          last_name: last_name || null,
+          city: city || null,
+          state: normalizedState,
+          country: normalizedCountry,
+        });
+        await replaceTopics(trx, newUser.user_id, topics);
+
+        return newUser;
+      });
+
+      await completeLogin(req, user, { twoFactor: false });
+      recordUsage(db, 'signup', { userId: user.user_id });
+
+      // The account works without a verified address, so don't fail signup over mail
+      if (user.email) {
+        try {
+          await sendVerificationEmail(req, user);
+        } catch (mailError) {
+          console.error('Error sending verification email:', mailError);
+        }
+      }
+
+      return res.redirect('/');
+    } catch (error) {
+      if (error.message === 'DUPLICATE_USER' || error.message === 'DUPLICATE_EMAIL') {
+        return res.status(409).render('signup', {
+          error:
+            error.message === 'DUPLICATE_USER'
+              ? 'An account with that username already exists.'
+              : 'An account with that email address already exists.',
+          values: {
+            username,
+            email,
+            first_name: first_name || '',
+            last_name: last_name || '',
+            city: city || '',
+            state: state || '',
+            country: country || '',
+            topics,
+          },
+        });
+      }
+
+      console.error('Signup error:', error);
+      return res.status(500).render('signup', {
+        error: 'Something went wrong. Please try again.',
+        values: {
+          username,
+          email,
+          first_name: first_name || '',
+          last_name: last_name || '',
+          city: city || '',
+          state: state || '',
+          country: country || '',
+          topics,
+        },
+      });
+    }
+  });
+
+  app.post('/logout', (req, res) => {
+    req.session.destroy(() => {
+      res.redirect('/login');
+    });
+  });
+
+  // ------------------------------------------------------------
+  // Account: two-factor authentication (TOTP + recovery codes)
+  // ------------------------------------------------------------
+  // Setup page. While 2FA is off, a new secret is kept in the session until the
+  // user proves their app has it by entering a code.
+  const renderTwoFactor = async (req, res, { status = 200, error = null, message = null, recoveryCodes = null } = {}) => {
+    const [user, roles] = await Promise.all([
+      db('users').select('username', 'totp_enabled_at').where({ user_id: req.session.userId }).first(),
+      loadRoles(db, req.session.userId),
+    ]);
+    const isAdmin = roles.length > 0;
+    const enabled = !!user?.totp_enabled_at;
+
+    let setup = null;
+    if (!enabled) {
+      req.session.totpSetupSecret = req.session.totpSetupSecret || generateSecret();
+      const url = otpauthUrl({ secret: req.session.totpSetupSecret, account: user?.username || 'user' });
+      setup = { secret: req.session.totpSetupSecret, qrCode: await QRCode.toDataURL(url) };
+    }
+    const [{ count }] = enabled
+      ? await db('recovery_codes').where({ user_id: req.session.userId }).whereNull('used_at').count('code_id as count')
+      : [{ count: 0 }];
+
+    res.status(status).render('account-2fa', {
+      enabled,
+      setup,
+      recoveryCodes,
+      recoveryCodesLeft: Number(count),
+      required: REQUIRE_ADMIN_2FA && isAdmin && !req.session.twoFactor,
+      canDisable: !(REQUIRE_ADMIN_2FA && isAdmin),
+      error,
+      message,
+    });
+  };
+
+  const twoFactorError = (res, error) => {
+    console.error('Two-factor settings error:', error);
+    res.status(500).render('notice', {
+      title: 'Something went wrong',
+      message: 'Unable to update two-factor authentication. Please try again.',
+      link: '/account/2fa',
+      linkLabel: 'Back to two-factor settings',
+    });
+  };
+
+  app.get('/account/2fa', requireAuth, async (req, res) => {
+    try {
+      await renderTwoFactor(req, res);
+    } catch (error) {
+      twoFactorError(res, error);
+    }
+  });
+
+  app.post('/account/2fa/enable', requireAuth, async (req, res) => {
+    try {
+      const secret = req.session.totpSetupSecret;
+      const step = secret ? verifyTotp(secret, req.body.code) : null;
+      if (step === null) {
+        return await renderTwoFactor(req, res, {
+          status: 400,
+          error: 'That code is not valid. Check the time on your phone and try again.',
+        });
+      }
+
+      const recoveryCodes = await db.transaction(async (trx) => {
+        const updated = await trx('users')
+          .where({ user_id: req.session.userId })
+          .whereNull('totp_enabled_at')
+          .update({ totp_secret: secret, totp_enabled_at: trx.fn.now(), totp_last_step: step });
+        if (updated === 0) {
+          throw new Error('ALREADY_ENABLED');
+        }
+        return replaceRecoveryCodes(trx, req.session.userId);
+      });
+      delete req.session.totpSetupSecret;
+      req.session.twoFactor = true;
+
+      return await renderTwoFactor(req, res, {
+        message: 'Two-factor authentication is on.',
+        recoveryCodes,
+      });
+    } catch (error) {
+      if (error.message === 'ALREADY_ENABLED') {
+        return res.redirect('/account/2fa');
+      }
+      return twoFactorError(res, error);
+    }
+  });
+
+  // New recovery codes (the old ones stop working); needs a current code
+  app.post('/account/2fa/recovery-codes', requireAuth, async (req, res) => {
+    try {
+      const user = await db('users').where({ user_id: req.session.userId }).first();
+      if (!user?.totp_enabled_at || !(await useTotpCode(user, req.body.code))) {
+        return await renderTwoFactor(req, res, { status: 400, error: 'That code is not valid. Please try again.' });
+      }
+      const recoveryCodes = await db.transaction((trx) => replaceRecoveryCodes(trx, req.session.userId));
+      return await renderTwoFactor(req, res, { message: 'New recovery codes created.', recoveryCodes });
+    } catch (error) {
+      return twoFactorError(res, error);
+    }
+  });
+
+  // Turn 2FA off; needs the password and a current code (or a recovery code)
+  app.post('/account/2fa/disable', requireAuth, async (req, res) => {
+    try {
+      const user = await db('users').where({ user_id: req.session.userId }).first();
+      if (REQUIRE_ADMIN_2FA && (await loadRoles(db, req.session.userId)).length > 0) {
+        return await renderTwoFactor(req, res, {
+          status: 403,
+          error: 'Two-factor authentication is required for admin accounts.',
+        });
+      }
+      const passwordOk = !!user && !!req.body.password && (await bcrypt.compare(req.body.password, user.password));
+      const codeOk =
+        passwordOk &&
+        (req.body.code
+          ? await useTotpCode(user, req.body.code)
+          : await useRecoveryCode(user.user_id, req.body.recovery_code));
+      if (!passwordOk || !codeOk) {
+        return await renderTwoFactor(req, res, {
+          status: 400,
+          error: 'Enter your password and a current code to turn off two-factor authentication.',
+        });
+      }
+
+      await db.transaction(async (trx) => {
+        await trx('users')
+          .where({ user_id: user.user_id })
+          .update({ totp_secret: null, totp_enabled_at: null, totp_last_step: null });
+        await trx('recovery_codes').where({ user_id: user.user_id }).del();
+      });
+      req.session.twoFactor = false;
+      return await renderTwoFactor(req, res, { message: 'Two-factor authentication is off.' });
+    } catch (error) {
+      return twoFactorError(res, error);
+    }
+  });
+
+  // ------------------------------------------------------------
+  // Admin: manage users/person records (CRUD + search)
+  // ------------------------------------------------------------
+  // Write an admin change to the audit log; before/after come from snapshotTarget
+  const auditAdminChange = (trx, req, action, before, after) =>
+    recordAudit(trx, {
+      actorId: req.session.userId,
+      actorUsername: req.session.username,
+      action,
+      before,
+      after,
+      ip: req.ip,
+    });
+
+  // Messages the list shows after a redirect (?error= / ?imported=)
+  const adminUsersNotice = (query) => ({
+    error: query.error === 'last_superadmin' ? 'The last superadmin can\'t be deleted.' : null,
+    message: /^\d+$/.test(query.imported || '')
+      ? `Imported ${query.imported} user${query.imported === '1' ? '' : 's'}.`
+      : query.deleted
+        ? 'The user has been deleted. They can be restored from Deleted Users until the account is purged.'
+        : null,
+  });
+
+  app.get('/admin/users', requirePermission('users.view'), async (req, res) => {
+    const filters = parseUserFilters(req.query);
+    const listUrl = (changes) => userListUrl(filters, changes);
+    try {
+      const [list, locations] = await Promise.all([listPeople(db, filters), loadLocationOptions(db)]);
+      res.render('admin-users', {
+        people: list.people,
+        pagination: { total: list.total, page: list.page, pages: list.pages },
+        filters: { ...filters, page: list.page },
+        locations,
+        roleFilters: ROLE_FILTERS,
+        pageSizes: PAGE_SIZES,
+        listUrl,
+        exportUrl: userListUrl(filters, { page: 1 }, '/admin/users/export.csv'),
+        ...adminUsersNotice(req.query),
+      });
+    } catch (error) {
+      console.error('Admin list error:', error);
+      res.status(500).render('admin-users', {
+        people: [],
+        pagination: { total: 0, page: 1, pages: 1 },
+        filters,
+        locations: { states: [], countries: [] },
+        roleFilters: ROLE_FILTERS,
+        pageSizes: PAGE_SIZES,
+        listUrl,
+        exportUrl: userListUrl(filters, { page: 1 }, '/admin/users/export.csv'),
+        error: 'Unable to load users.',
+        message: null,
+      });
+    }
+  });
+
+  // Topics as one CSV cell: "Category:weight[:country]; ..."
+  const formatTopicsCell = (topics) =>
+    topics.map((topic) => [topic.category, topic.weight, topic.country].filter(Boolean).join(':')).join('; ');
+
+  const USER_CSV_COLUMNS = [
+    { key: 'user_id', header: 'user_id' },
+    { key: 'username', header: 'username' },
+    { key: 'email', header: 'email' },
+    { key: 'first_name', header: 'first_name' },
+    { key: 'last_name', header: 'last_name' },
+    { key: 'city', header: 'city' },
+    { key: 'state', header: 'state' },
+    { key: 'country', header: 'country' },
+    { key: 'topics', header: 'topics' },
+    { key: 'roles', header: 'roles' },
+  ];
+
+  // CSV of the filtered list (every page, in the list's sort order)
+  app.get('/admin/users/export.csv', requirePermission('users.view'), async (req, res) => {
+    try {
+      const people = await exportPeople(db, parseUserFilters(req.query));
+      const csv = toCsv(
+        USER_CSV_COLUMNS,
+        people.map((person) => ({
+          ...person,
+          topics: formatTopicsCell(person.topics),
+          roles: person.roles.join('; '),
+        }))
+      );
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="users-${date}.csv"`);
+      res.send(csv);
+    } catch (error) {
+      console.error('Admin export error:', error);
+      res.status(500).send('Unable to export users.');
+    }
+  });
+
+  app.get('/admin/users/new', requirePermission('users.create'), (req, res) => {
+    res.render('admin-user-form', {
+      mode: 'create',
+      error: null,
+      values: {
+        username: '',
+        email: '',
+        first_name: '',
+        last_name: '',
+        city: '',
+        state: '',
+        country: '',
+        topics: [],
+        roles: [],
+      },
+    });
+  });
+
+  // Create a user and their person record inside `trx` (POST /admin/users and
+  // the CSV import). Throws DUPLICATE_USER if the username is taken and
+  // DUPLICATE_EMAIL if the email address is.
+  const adminCreateUser = async (trx, req, { username, email = null, password, first_name, last_name, city, state, country, topics, roles }) => {
+    const existing = await trx('users').where({ username }).first();
+    if (existing) {
+      throw new Error('DUPLICATE_USER');
+    }
+    if (email && (await trx('users').where({ email }).first())) {
+      throw new Error('DUPLICATE_EMAIL');
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const [newUser] = await trx('users')
+      .insert({
+        username,
+        email,
+        password: passwordHash,
+      })
+      .returning(['user_id']);
+
+    await trx('person').insert({
+      user_id: newUser.user_id,
+      first_name: first_name || null,
+      last_name: last_name || null,
+      city: city || null,
+      state: state || null,
+      country: country || null,
+    });
+    await replaceTopics(trx, newUser.user_id, topics);
+    await replaceRoles(trx, newUser.user_id, roles, req.session.userId);
+    await auditAdminChange(trx, req, 'user.create', null, await snapshotTarget(trx, { userId: newUser.user_id }));
+    return newUser.user_id;
+  };
+
+  app.post('/admin/users', requirePermission('users.create'), async (req, res) => {
+    const {
+      username,
+      password,
+      confirm_password,
+      first_name,
+      last_name,
+      city,
+      state,
+      country,
+    } = req.body;
+    const topics = parseTopics(req.body.topics);
+    const email = normalizeEmail(req.body.email);
+    // Only superadmins see the role checkboxes; ignore roles posted by anyone else
+    const roles = req.permissions.includes('users.roles') ? parseRoles(req.body.roles) : [];
+
+    const renderWithError = (message) =>
+      res.status(400).render('admin-user-form', {
+        mode: 'create',
+        error: message,
+        values: {
+          username: username || '',
+          email,
+          first_name: first_name || '',
+          last_name: last_name || '',
+          city: city || '',
+          state: state || '',
+          country: country || '',
+          topics,
+          roles,
+        },
+      });
+
+    if (!username || !password) {
+      return renderWithError('Username and password are required.');
+    }
+    if (password.length < 8) {
+      return renderWithError('Password must be at least 8 characters.');
+    }
+    if (password !== confirm_password) {
+      return renderWithError('Passwords do not match.');
+    }
+    if (email && !isValidEmail(email)) {
+      return renderWithError('Please enter a valid email address.');
+    }
+
+    try {
+      await db.transaction((trx) =>
+        adminCreateUser(trx, req, {
+          username,
+          email: email || null,
+          password,
+          first_name,
+          last_name,
+          city,
+          state,
+          country,
+          topics,
+          roles,
+        })
+      );
+
+      return res.redirect('/admin/users');
+    } catch (error) {
+      if (error.message === 'DUPLICATE_USER') {
+        return renderWithError('That username is already taken.');
+      }
+      if (error.message === 'DUPLICATE_EMAIL') {
+        return renderWithError('That email address is already in use.');
+      }
+      console.error('Admin create error:', error);
+      return renderWithError('Something went wrong. Please try again.');
+    }
+  });
+
+  // ------------------------------------------------------------
+  // Admin: CSV import. Every row is checked first; users are only created when
+  // the whole file is valid, and then all of them in one transaction.
+  // ------------------------------------------------------------
+  const IMPORT_COLUMNS = [
+    'username',
+    'password',
+    'email',
+    'first_name',
+    'last_name',
+    'city',
+    'state',
+    'country',
+    'topics',
+    'roles',
+  ];
+  // Export columns an import accepts but skips: new users get new ids
+  const IGNORED_IMPORT_COLUMNS = ['user_id'];
+  const MAX_IMPORT_ROWS = 500;
+
+  // "Category:weight[:country]; ..." (the export's format) -> { topics, errors }
+  const parseTopicsCell = (value) => {
+    const errors = [];
+    const rows = value
+      .split(';')
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        const [category, weight, country] = part.split(':').map((piece) => piece.trim());
+        if (!CATEGORIES.includes(category)) {
+          errors.push(`Unknown topic "${category}".`);
+        }
+        return { category, weight, country };
+      });
+    return { topics: parseTopics(rows), errors };
+  };
+
+  // "viewer; moderator" -> { roles, errors }
+  const parseRolesCell = (value, { canGrantRoles }) => {
+    const names = value
+      .split(/[;,]/)
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    const errors = names.filter((name) => !ROLES.includes(name)).map((name) => `Unknown role "${name}".`);
+    if (names.length > 0 && !canGrantRoles) {
+      errors.push('Your role can\'t grant admin roles.');
+    }
+    return { roles: parseRoles(names), errors };
+  };
+
+  // Parse and validate an import -> { fileErrors, rows: [{ row, username, email, errors, user }] }
+  const checkImportCsv = async (text, { canGrantRoles }) => {
+    let parsed;
+    try {
+      parsed = parseCsvRecords(text);
+    } catch (error) {
+      return { fileErrors: ['The file has a quoted value that never ends.'], rows: [] };
+    }
+    const { headers, records } = parsed;
+
+    const fileErrors = [];
+    if (!headers.includes('username')) {
+      fileErrors.push('The first line must be a header row with at least a "username" column.');
+    }
+    const unknownColumns = headers.filter(
+      (header) => header && !IMPORT_COLUMNS.includes(header) && !IGNORED_IMPORT_COLUMNS.includes(header)
+    );
+    if (unknownColumns.length > 0) {
+      fileErrors.push(`Unknown column${unknownColumns.length === 1 ? '' : 's'}: ${unknownColumns.join(', ')}.`);
+    }
+    if (records.length === 0) {
+      fileErrors.push('The file has no rows to import.');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      fileErrors.push(`Import at most ${MAX_IMPORT_ROWS} rows at a time.`);
+    }
+    if (fileErrors.length > 0) {
+      return { fileErrors, rows: [] };
+    }
+
+    const usernames = records.map((record) => record.values.username).filter(Boolean);
+    const emails = records.map((record) => normalizeEmail(record.values.email)).filter(Boolean);
+    const [takenUsernames, takenEmails] = await Promise.all([
+      usernames.length > 0 ? db('users').whereIn('username', usernames).pluck('username') : [],
+      emails.length > 0 ? db('users').whereIn('email', emails).pluck('email') : [],
+    ]);
+    const seenUsernames = new Set();
+    const seenEmails = new Set();
+
+    const rows = records.map(({ row, values }) => {
+      const errors = [];
+      const username = values.username || '';
+      const email = normalizeEmail(values.email) || null;
+
+      if (!username) {
+        errors.push('Username is required.');
+      } else if (takenUsernames.includes(username)) {
+        errors.push('That username is already taken.');
+      } else if (seenUsernames.has(username)) {
+        errors.push('The username appears more than once in the file.');
+      }
+      seenUsernames.add(username);
+
+      if (email) {
+        if (!isValidEmail(email)) {
+          errors.push('The email address is not valid.');
+        } else if (takenEmails.includes(email)) {
+          errors.push('That email address is already in use.');
+        } else if (seenEmails.has(email)) {
+          errors.push('The email address appears more than once in the file.');
+        }
+        seenEmails.add(email);
+      }
+
+      // Without a password the user sets one through "Forgot password", which needs an email
+      if (values.password && values.password.length < 8) {
+        errors.push('Password must be at least 8 characters.');
+      } else if (!values.password && !email) {
+        errors.push('Give a password, or an email address so the user can set one with "Forgot password".');
+      }
+
+      const topicsCell = parseTopicsCell(values.topics || '');
+      const rolesCell = parseRolesCell(values.roles || '', { canGrantRoles });
+      errors.push(...topicsCell.errors, ...rolesCell.errors);
+
+      return {
+        row,
+        username,
+        email,
+        errors,
+        user: {
+          username,
+          email,
+          password: values.password || crypto.randomBytes(24).toString('hex'),
+          first_name: values.first_name,
+          last_name: values.last_name,
+          city: values.city,
+          state: values.state,
+          country: values.country,
+          topics: topicsCell.topics,
+          roles: rolesCell.roles,
+        },
+      };
+    });
+    return { fileErrors: [], rows };
+  };
+
+  const renderImport = (res, { status = 200, csv = '', result = null, error = null } = {}) =>
+    res.status(status).render('admin-users-import', {
+      csv,
+      result,
+      error,
+      columns: IMPORT_COLUMNS,
+      maxRows: MAX_IMPORT_ROWS,
+    });
+
+  app.get('/admin/users/import', requirePermission('users.create'), (req, res) => renderImport(res));
+
+  // action=check only validates; action=import validates and then creates the users
+  app.post('/admin/users/import', requirePermission('users.create'), async (req, res) => {
+    const csv = typeof req.body.csv === 'string' ? req.body.csv : '';
+    try {
+      const result = await checkImportCsv(csv, { canGrantRoles: req.permissions.includes('users.roles') });
+      const invalid = result.fileErrors.length > 0 || result.rows.some((row) => row.errors.length > 0);
+      if (invalid || req.body.action !== 'import') {
+        return renderImport(res, { status: invalid ? 400 : 200, csv, result });
+      }
+
+      await db.transaction(async (trx) => {
+        for (const row of result.rows) {
+          await adminCreateUser(trx, req, row.user);
+        }
+      });
+      return res.redirect(`/admin/users?imported=${result.rows.length}`);
+    } catch (error) {
+      if (error.message === 'DUPLICATE_USER' || error.message === 'DUPLICATE_EMAIL') {
+        return renderImport(res, {
+          status: 409,
+          csv,
+          error: 'A username or email address was taken while the import ran, so nothing was imported. Check the file again.',
+        });
+      }
+      console.error('Admin import error:', error);
+      return renderImport(res, { status: 500, csv, error: 'Something went wrong, so nothing was imported.' });
+    }
+  });
+
+  app.get('/admin/users/:id/edit', requirePermission('users.view'), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const person = await db('person')
+        .leftJoin('users', 'person.user_id', 'users.user_id')
+        .select(
+          'person.person_id',
+          'person.user_id',
+          'person.first_name',
+          'person.last_name',
+          'person.city',
+          'person.state',
+          'person.country',
+          'users.username'
+        )
+        .where('person.person_id', id)
+        .whereNull('person.deleted_at')
+        .first();
+
+      if (!person) {
+        return res.redirect('/admin/users');
+      }
+      const [topics, sessions, roles] = person.user_id
+        ? await Promise.all([
+            loadTopics(db, person.user_id),
+            sessionStore.listForUser(person.user_id),
+            loadRoles(db, person.user_id),
+          ])
+        : [[], [], []];
+      person.topics = topics;
+      person.roles = roles;
+
+      res.render('admin-user-form', {
+        mode: 'edit',
+        error: null,
+        message: req.query.signed_out ? 'All of this user\'s sessions have been signed out.' : null,
+        sessionCount: sessions.length,
+        values: person,
+      });
+    } catch (error) {
+      console.error('Admin edit load error:', error);
+      res.redirect('/admin/users');
+    }
+  });
+
+  app.post('/admin/users/:id', requirePermission('users.edit'), async (req, res) => {
+    const { id } = req.params;
+    const {
+      username,
+      password,
+      confirm_password,
+      first_name,
+      last_name,
+      city,
+      state,
+      country,
+    } = req.body;
+    const topics = parseTopics(req.body.topics);
+    // null = leave roles alone (the form only has role checkboxes for superadmins)
+    const roles = req.permissions.includes('users.roles') ? parseRoles(req.body.roles) : null;
+
+    const renderWithError = (message, valuesOverride = {}) =>
+      res.status(400).render('admin-user-form', {
+        mode: 'edit',
+        error: message,
+        values: {
+          person_id: id,
+          username: username || '',
+          first_name: first_name || '',
+          last_name: last_name || '',
+          city: city || '',
+          state: state || '',
+          country: country || '',
+          topics,
+          roles: roles || [],
+          ...valuesOverride,
+        },
+      });
+
+    if (!username) {
+      return renderWithError('Username is required.');
+    }
+    if (password && password.length < 8) {
+      return renderWithError('Password must be at least 8 characters.');
+    }
+    if (password && password !== confirm_password) {
+      return renderWithError('Passwords do not match.');
+    }
+
+    try {
+      const userId = await db.transaction(async (trx) => {
+        const existing = await trx('person')
+          .leftJoin('users', 'person.user_id', 'users.user_id')
+          .select('users.user_id')
+          .where('person.person_id', id)
+          .whereNull('person.deleted_at')
+          .first();
+
+        if (!existing) {
+          throw new Error('NOT_FOUND');
+        }
+        const before = await snapshotTarget(trx, { personId: id });
+
+        // ensure username unique
+        const duplicate = await trx('users')
+          .where({ username })
+          .whereNot({ user_id: existing.user_id })
+          .first();
+        if (duplicate) {
+          throw new Error('DUPLICATE_USER');
+        }
+
+        const userUpdate = { username };
+        if (password) {
+          userUpdate.password = await bcrypt.hash(password, 10);
+        }
+
+        await trx('users').where({ user_id: existing.user_id }).update(userUpdate);
+
+        await trx('person')
+          .where({ person_id: id })
+          .update({
+            first_name: first_name || null,
+            last_name: last_name || null,
+            city: city || null,
+            state: state || null,
+            country: country || null,
+          });
+        await replaceTopics(trx, existing.user_id, topics);
+        if (roles && existing.user_id) {
+          await replaceRoles(trx, existing.user_id, roles, req.session.userId);
+        }
+        await auditAdminChange(trx, req, 'user.update', before, await snapshotTarget(trx, { personId: id }));
+        return existing.user_id;
+      });
+
+      // A new password ends the user's existing sessions, as a reset does (the
+      // admin's own stays when they edit themselves)
+      if (password && userId) {
+        await sessionStore.destroyForUser(userId, { except: req.sessionID });
+      }
+      return res.redirect('/admin/users');
+    } catch (error) {
+      if (error.message === 'NOT_FOUND') {
+        return res.redirect('/admin/users');
+      }
+      if (error.message === 'DUPLICATE_USER') {
+        return renderWithError('That username is already taken.');
+      }
+      if (error.message === 'LAST_SUPERADMIN') {
+        return renderWithError('At least one superadmin is required. Grant the role to someone else first.');
+      }
+      console.error('Admin update error:', error);
+      return renderWithError('Something went wrong. Please try again.');
+    }
+  });
+
+  // Force-logout: end every session of the person's user account
+  app.post('/admin/users/:id/logout', requirePermission('users.logout'), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const person = await db('person').select('user_id').where({ person_id: id }).first();
+      if (!person?.user_id) {
+        return res.redirect('/admin/users');
+      }
+      await sessionStore.destroyForUser(person.user_id);
+      const target = await snapshotTarget(db, { personId: id });
+      await auditAdminChange(db, req, 'user.logout', target, target);
+      return res.redirect(`/admin/users/${encodeURIComponent(id)}/edit?signed_out=1`);
+    } catch (error) {
+      console.error('Admin force logout error:', error);
+      return res.redirect('/admin/users');
+    }
+  });
+
+  // Soft delete (see lib/deleted-users.js): the account can't sign in, drops out
+  // of the lists and can be restored until the purge job removes it
+  app.post('/admin/users/:id/delete', requirePermission('users.delete'), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const person = await db.transaction(async (trx) => {
+        const before = await snapshotTarget(trx, { personId: id });
+        if (before && before.userId && before.fields.roles.includes('superadmin')) {
+          await ensureOtherSuperadmin(trx, before.userId);
+        }
+        const deleted = await softDeletePerson(trx, id, { deletedBy: req.session.userId });
+        await auditAdminChange(trx, req, 'user.delete', before, await snapshotTarget(trx, { personId: id }));
+        return deleted;
+      });
+      if (person.user_id) {
+        await sessionStore.destroyForUser(person.user_id);
+      }
+      return res.redirect('/admin/users?deleted=1');
+    } catch (error) {
+      if (error.message === 'LAST_SUPERADMIN') {
+        return res.redirect('/admin/users?error=last_superadmin');
+      }
+      if (error.message !== 'NOT_FOUND') {
+        console.error('Admin delete error:', error);
+      }
+      return res.redirect('/admin/users');
+    }
+  });
+
+  app.get('/admin/users/deleted', requirePermission('users.view'), async (req, res) => {
+    const retentionDays = purgeJob.retentionDays;
+    try {
+      const people = await listDeletedPeople(db);
+      res.render('admin-users-deleted', {
+        people: people.map((person) => ({ ...person, purge_at: purgeDate(person.deleted_at, retentionDays) })),
+        retentionDays,
+        message: req.query.restored ? 'The user has been restored and can sign in again.' : null,
+        error: null,
+      });
+    } catch (error) {
+      console.error('Error loading deleted users:', error);
+      res.status(500).render('admin-users-deleted', {
+        people: [],
+        retentionDays,
+        message: null,
+        error: 'Unable to load deleted users.',
+      });
+    }
+  });
+
+  app.post('/admin/users/:id/restore', requirePermission('users.delete'), async (req, res) => {
+    const { id } = req.params;
+    try {
+      await db.transaction(async (trx) => {
+        const before = await snapshotTarget(trx, { personId: id });
+        await restorePerson(trx, id);
+        await auditAdminChange(trx, req, 'user.restore', before, await snapshotTarget(trx, { personId: id }));
+      });
+      return res.redirect('/admin/users/deleted?restored=1');
+    } catch (error) {
+      if (error.message !== 'NOT_FOUND') {
+        console.error('Admin restore error:', error);
+      }
+      return res.redirect('/admin/users/deleted');
+    }
+  });
+
+  // ------------------------------------------------------------
+  // Admin: sign-in activity and locked accounts
+  // ------------------------------------------------------------
+  const renderLoginEvents = async (req, res, { status = 200, message = null } = {}) => {
+    const filters = {
+      username: typeof req.query.username === 'string' ? req.query.username.trim() : '',
+      ip: typeof req.query.ip === 'string' ? req.query.ip.trim() : '',
+      result: ['success', 'failure'].includes(req.query.result) ? req.query.result : '',
+    };
+    try {
+      const [events, lockedUsers] = await Promise.all([
+        recentLoginEvents(db, {
+          username: filters.username,
+          ip: filters.ip,
+          success: filters.result ? filters.result === 'success' : undefined,
+          limit: 100,
+        }),
+        db('users')
+          .select('user_id', 'username', 'locked_until')
+          .where('locked_until', '>', new Date())
+          .whereNull('deleted_at')
+          .orderBy('locked_until', 'desc'),
+      ]);
+      res.status(status).render('admin-login-events', { events, lockedUsers, filters, message, error: null });
+    } catch (error) {
+      console.error('Error loading login events:', error);
+      res.status(500).render('admin-login-events', {
+        events: [],
+        lockedUsers: [],
+        filters,
+        message: null,
+        error: 'Unable to load sign-in activity.',
+      });
+    }
+  };
+
+  app.get('/admin/login-events', requirePermission('login_events.view'), (req, res) => renderLoginEvents(req, res));
+
+  app.post('/admin/login-events/unlock', requirePermission('login_events.unlock'), async (req, res) => {
+    try {
+      const userId = Number.parseInt(req.body.user_id, 10) || 0;
+      const before = await snapshotTarget(db, { userId });
+      if (before) {
+        await loginThrottle.unlock(userId);
+        await auditAdminChange(db, req, 'user.unlock', before, await snapshotTarget(db, { userId }));
+      }
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+    }
+    res.redirect('/admin/login-events');
+  });
+
+  // ------------------------------------------------------------
+  // Admin: audit log of changes to users
+  // ------------------------------------------------------------
+  // YYYY-MM-DD from a date input -> Date at midnight UTC (null if invalid)
+  const parseDateInput = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+
+  app.get('/admin/audit', requirePermission('audit.view'), async (req, res) => {
+    const filters = {
+      actor: typeof req.query.actor === 'string' ? req.query.actor.trim() : '',
+      target: typeof req.query.target === 'string' ? req.query.target.trim() : '',
+      action: AUDIT_ACTIONS.includes(req.query.action) ? req.query.action : '',
+      from: parseDateInput(req.query.from) ? req.query.from : '',
+      to: parseDateInput(req.query.to) ? req.query.to : '',
+    };
+    // `to` is inclusive on the page, so query up to the start of the next day
+    const toDate = parseDateInput(filters.to);
+    try {
+      const entries = await listAuditEntries(db, {
+        actor: filters.actor,
+        target: filters.target,
+        action: filters.action,
+        from: parseDateInput(filters.from),
+        to: toDate ? new Date(toDate.getTime() + 24 * 60 * 60 * 1000) : null,
+        limit: 200,
+      });
+      res.render('admin-audit', { entries, filters, actions: AUDIT_ACTIONS, error: null });
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      res.status(500).render('admin-audit', {
+        entries: [],
+        filters,
+        actions: AUDIT_ACTIONS,
+        error: 'Unable to load the audit log.',
+      });
+    }
+  });
+
+  // ------------------------------------------------------------
+  // Admin: usage dashboard (see lib/usage.js)
+  // ------------------------------------------------------------
+  const DASHBOARD_PERIODS = [7, 30, 90];
+
+  app.get('/admin/dashboard', requirePermission('dashboard.view'), async (req, res) => {
+    const requested = Number.parseInt(req.query.days, 10);
+    const days = DASHBOARD_PERIODS.includes(requested) ? requested : 30;
+    try {
+      const dashboard = await loadDashboard(db, { days });
+      res.render('admin-dashboard', { dashboard, days, periods: DASHBOARD_PERIODS, error: null });
+    } catch (error) {
+      console.error('Error loading dashboard:', error);
+      res.status(500).render('admin-dashboard', {
+        dashboard: null,
+        days,
+        periods: DASHBOARD_PERIODS,
+        error: 'Unable to load the dashboard.',
+      });
+    }
+  });
+
+  // ------------------------------------------------------------
+  // Admin: global content filter rules
+  // ------------------------------------------------------------
+  const renderContentFilters = async (res, { status = 200, error = null, message = null } = {}) => {
+    const [rules, setting] = await Promise.all([
+      db('content_rules')
+        .leftJoin('users', 'content_rules.created_by', 'users.user_id')
+        .whereNull('content_rules.user_id')
+        .select(
+          'content_rules.rule_id',
+          'content_rules.rule_type',
+          'content_rules.value',
+          'content_rules.created_at',
+          'users.username as created_by_username'
+        )
+        .orderBy(['content_rules.rule_type', 'content_rules.value']),
+      db('app_settings').where({ key: 'min_sentiment' }).first(),
+    ]);
+    res.status(status).render('admin-content-filters', {
+      rules,
+      ruleTypes: RULE_TYPES,
+      minSentiment: setting ? parseSentiment(setting.value) ?? '' : '',
+      error,
+      message,
+    });
+  };
+
+  app.get('/admin/content-filters', requirePermission('content_filters.view'), async (req, res) => {
+    try {
+      await renderContentFilters(res, { message: req.query.saved ? 'Content filters updated.' : null });
+    } catch (error) {
+      console.error('Admin content filters error:', error);
+      res.status(500).send('Server error');
+    }
+  });
+
+  app.post('/admin/content-filters', requirePermission('content_filters.manage'), async (req, res) => {
+    const ruleType = req.body.rule_type;
+    const value = RULE_TYPES.includes(ruleType) ? normalizeRuleValue(ruleType, req.body.value) : '';
+
+    try {
+      if (!value) {
+        return renderContentFilters(res, { status: 400, error: 'Choose a rule type and enter a value.' });
+      }
+      if (ruleType === 'category' && !CATEGORIES.includes(value)) {
+        return renderContentFilters(res, { status: 400, error: 'That is not a known category.' });
+      }
+
+      const existing = await db('content_rules')
+        .whereNull('user_id')
+        .where({ rule_type: ruleType, value })
+        .first();
+      if (!existing) {
+        await db('content_rules').insert({
+          user_id: null,
+          rule_type: ruleType,
+          value,
+          created_by: req.session.userId,
+        });
+        contentRules.invalidate();
+      }
+      return res.redirect('/admin/content-filters?saved=1');
+    } catch (error) {
+      console.error('Admin content rule create error:', error);
+      return res.status(500).send('Server error');
+    }
+  });
+
+  app.post('/admin/content-filters/sentiment', requirePermission('content_filters.manage'), async (req, res) => {
+    const minSentiment = parseSentiment(req.body.min_sentiment);
+    try {
+      await db('app_settings')
+        .insert({ key: 'min_sentiment', value: minSentiment === null ? null : String(minSentiment), updated_at: new Date() })
+        .onConflict('key')
+        .merge();
+      contentRules.invalidate();
+      return res.redirect('/admin/content-filters?saved=1');
+    } catch (error) {
+      console.error('Admin sentiment setting error:', error);
+      return res.status(500).send('Server error');
+    }
+  });
+
+  app.post('/admin/content-filters/:id/delete', requirePermission('content_filters.manage'), async (req, res) => {
+    try {
+      await db('content_rules')
+        .whereNull('user_id')
+        .where({ rule_id: Number.parseInt(req.params.id, 10) || 0 })
+        .del();
+      contentRules.invalidate();
+      return res.redirect('/admin/content-filters?saved=1');
+    } catch (error) {
+      console.error('Admin content rule delete error:', error);
+      return res.redirect('/admin/content-filters');
+    }
+  });
+
+  // Save an article and its metadata to news_posts. Throws DUPLICATE_ARTICLE if
+  // the user already saved it.
+  const saveArticle = async (userId, { title, url, image_url, published, site, author, excerpt, category }) => {
+    // Check if article already saved for this user
+    const existing = await db('news_posts')
+      .where({ user_id: userId, url: url })
+      .first();
+
+    if (existing) {
+      throw new Error('DUPLICATE_ARTICLE');
+    }
+
+    const publishedAt = published ? new Date(published) : null;
+
+    await db('news_posts').insert({
+      user_id: userId,
+      title: title,
+      url: url,
+      image_url: image_url || null,
+      published_at: publishedAt && !Number.isNaN(publishedAt.getTime()) ? publishedAt : null,
+      site: site || null,
+      author: author || null,
+      excerpt: excerpt ? String(excerpt).slice(0, 500) : null,
+      category: category || null,
+    });
+    await recordInteraction(db, userId, url, 'saved');
+    recordUsage(db, 'article_saved', { userId, subject: url });
+  };
+
+  // Delete a saved article (and its tags); returns the number of articles removed
+  const unsaveArticle = async (userId, url) => {
+    const deleted = await db.transaction(async (trx) => {
+      await trx('article_tags').where({ user_id: userId, url: url }).del();
+      return trx('news_posts').where({ user_id: userId, url: url }).del();
+    });
+    if (deleted > 0) {
+      await recordInteraction(db, userId, url, 'saved', false);
+    }
+    return deleted;
+  };
+
+  // Save article to user's profile
+  app.post('/save-article', async (req, res) => {
+    try {
+      // Express 5 leaves req.body undefined when the request has no body
+      const { title, url, image_url, published, site, author, excerpt, category } = req.body || {};
+      const userId = req.session.userId;
+
+      if (!userId) {
+        return res.status(401).json({ success: false, message: 'Please log in to save articles' });
+      }
+
+      if (!title || !url) {
+        return res.status(400).json({ success: false, message: 'Title and URL are required' });
+      }
+
+      await saveArticle(userId, { title, url, image_url, published, site, author, excerpt, category });
+
+      res.json({ success: true, message: 'Article saved successfully' });
+    } catch (error) {
+      if (error.message === 'DUPLICATE_ARTICLE') {
+        return res.status(409).json({ success: false, message: 'Article already saved' });
+      }
+      console.error('Error saving article:', error);
+      res.status(500).json({ success: false, message: 'Error saving article' });
+    }
+  });
+
+  // Remove/unsave article from user's saved articles
+  app.delete('/unsave-article', async (req, res) => {
+    try {
+      const { url } = req.body || {};
+      const userId = req.session.userId;
+
+      if (!userId) {
+        return res.status(401).json({ success: false, message: 'Please log in to unsave articles' });
+      }
+
+      if (!url) {
+        return res.status(400).json({ success: false, message: 'URL is required' });
+      }
+
+      const deleted = await unsaveArticle(userId, url);
+      if (deleted === 0) {
+        return res.status(404).json({ success: false, message: 'Article not found' });
+      }
+
+      res.json({ success: true, message: 'Article removed successfully' });
+    } catch (error) {
+      console.error('Error removing article:', error);
+      res.status(500).json({ success: false, message: 'Error removing article' });
+    }
+  });
+
+  // Record that the user opened or dismissed an article from a feed.
+  // Called with fetch/sendBeacon from the feed pages; `action` is opened | dismissed.
+  app.post('/article-interactions', async (req, res) => {
+    try {
+      const { url, action } = req.body;
+      const userId = req.session.userId;
+
+      if (!userId) {
+        return res.status(401).json({ success: false, message: 'Please log in to track articles' });
+      }
+
+      if (!url || !isInteractionType(action) || action === 'saved') {
+        return res.status(400).json({ success: false, message: 'URL and a valid action are required' });
+      }
+
+      await recordInteraction(db, userId, url, action);
+      res.json({ success: true, message: 'Interaction recorded' });
+    } catch (error) {
+      console.error('Error recording interaction:', error);
+      res.status(500).json({ success: false, message: 'Error recording interaction' });
+    }
+  });
+
+  // Move a saved article into a collection (empty collection_id = unfiled)
+  app.post('/move-article', async (req, res) => {
+    try {
+      const { url, collection_id } = req.body;
+      const userId = req.session.userId;
+
+      if (!userId) {
+        return res.status(401).json({ success: false, message: 'Please log in to organize articles' });
+      }
+
+      if (!url) {
+        return res.status(400).json({ success: false, message: 'URL is required' });
+      }
+
+      let collectionId = null;
+      if (collection_id) {
+        const collection = await db('collections')
+          .where({ collection_id: Number.parseInt(collection_id, 10) || 0, user_id: userId })
+          .first();
+        if (!collection) {
+          return res.status(404).json({ success: false, message: 'Collection not found' });
+        }
+        collectionId = collection.collection_id;
+      }
+
+      const updated = await db('news_posts')
+        .where({ user_id: userId, url: url })
+        .update({ collection_id: collectionId });
+
+      if (updated === 0) {
+        return res.status(404).json({ success: false, message: 'Article not found' });
+      }
+
+      res.json({ success: true, message: 'Article moved successfully' });
+    } catch (error) {
+      console.error('Error moving article:', error);
+      res.status(500).json({ success: false, message: 'Error moving article' });
+    }
+  });
+
+  // Replace the tags on a saved article. `tags` is a comma-separated list.
+  app.post('/article-tags', async (req, res) => {
+    try {
+      const { url } = req.body;
+      const userId = req.session.userId;
+
+      if (!userId) {
+        return res.status(401).json({ success: false, message: 'Please log in to tag articles' });
+      }
+
+      if (!url) {
+        return res.status(400).json({ success: false, message: 'URL is required' });
+      }
+
+      const tags = parseTags(req.body.tags);
+      if (tags.length > MAX_TAGS_PER_ARTICLE) {
+        return res
+          .status(400)
+          .json({ success: false, message: `Use at most ${MAX_TAGS_PER_ARTICLE} tags per article` });
+      }
+
+      const article = await db('news_posts').where({ user_id: userId, url: url }).first();
+      if (!article) {
+        return res.status(404).json({ success: false, message: 'Article not found' });
+      }
+
+      await db.transaction(async (trx) => {
+        await trx('article_tags').where({ user_id: userId, url: url }).del();
+        if (tags.length > 0) {
+          await trx('article_tags').insert(tags.map((tag) => ({ user_id: userId, url, tag })));
+        }
+      });
+
+      res.json({ success: true, message: 'Tags saved successfully', tags });
+    } catch (error) {
+      console.error('Error tagging article:', error);
+      res.status(500).json({ success: false, message: 'Error saving tags' });
+    }
+  });
+
+  // ------------------------------------------------------------
+  // JSON API (/api/v1), authenticated with personal API tokens:
+  //   Authorization: Bearer ogn_...
+  // Errors always look like { success: false, error: { code, message } }.
+  // Each token gets API_RATE_LIMIT requests per minute (or its own rate_limit).
+  // ------------------------------------------------------------
+  const API_RATE_LIMIT = Number(process.env.API_RATE_LIMIT) || DEFAULT_RATE_LIMIT;
+  const apiRateLimiter = createRateLimiter();
+
+  const apiError = (res, status, code, message) =>
+    res.status(status).json({ success: false, error: { code, message } });
+
+  // Posts in the API use flat field names rather than the Webz.io shape
+  const toApiPost = (post) => ({
+    url: post.url,
+    title: post.title,
+    excerpt: post.text ? String(post.text).slice(0, 500) : null,
+    published: post.published || null,
+    author: post.author || null,
+    site: post.thread ? post.thread.site || post.thread.site_full || null : null,
+    image_url: post.thread ? post.thread.main_image || null : null,
+    categories: post.categories || [],
+    ...(post.interaction && { interaction: post.interaction }),
+  });
+
+  // Fields POST /saved accepts; each must be a string when present
+  const API_SAVED_FIELDS = ['title', 'url', 'image_url', 'published', 'site', 'author', 'excerpt', 'category'];
+  const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+  const api = express.Router();
+  api.use(express.json({ limit: '100kb' }));
+
+  api.use(async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) {
+      return apiError(res, 401, 'UNAUTHORIZED', 'Send an API token as "Authorization: Bearer <token>"');
+    }
+
+    try {
+      const token = await findApiToken(db, match[1]);
+      if (!token) {
+        return apiError(res, 401, 'UNAUTHORIZED', 'Invalid or revoked API token');
+      }
+
+      const limit = apiRateLimiter.hit(token.token_id, token.rate_limit || API_RATE_LIMIT);
+      res.set({
+        'X-RateLimit-Limit': String(limit.limit),
+        'X-RateLimit-Remaining': String(limit.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(limit.resetAt / 1000)),
+      });
+      if (!limit.allowed) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((limit.resetAt - Date.now()) / 1000))));
+        return apiError(res, 429, 'RATE_LIMITED', 'Too many requests for this token, slow down');
+      }
+
+      req.apiUserId = token.user_id;
+      next();
+    } catch (error) {
+      console.error('API auth error:', error);
+      apiError(res, 500, 'SERVER_ERROR', 'Unable to check API token');
+    }
+  });
+
+  // Personalized home feed: optional local section plus one section per topic
+  api.get('/feed', async (req, res) => {
+    try {
+      const { newsCategories, news, localSection } = await loadHomeFeed(req.apiUserId);
+      res.json({
+        success: true,
+        local: localSection ? { label: localSection.label, posts: localSection.news.map(toApiPost) } : null,
+        sections: newsCategories
+          ? newsCategories.map((section) => ({
+            category: section.category,
+            weight: section.weight,
+            posts: section.news.map(toApiPost),
+          }))
+          : [{ category: null, weight: null, posts: news.map(toApiPost) }],
+      });
+    } catch (error) {
+      console.error('API error fetching feed:', error);
+      apiError(res, 502, 'NEWS_UNAVAILABLE', 'Error fetching news');
+    }
+  });
+
+  api.get('/categories', (req, res) => {
+    res.json({ success: true, categories: res.locals.topicCategories });
+  });
+
+  api.get('/categories/:categoryName', async (req, res) => {
+    const { categoryName } = req.params;
+    if (!CATEGORIES.includes(categoryName)) {
+      return apiError(res, 404, 'NOT_FOUND', `Unknown category "${categoryName}"`);
+    }
+
+    try {
+      const settings = await loadFeedSettings(req.apiUserId);
+      const result = await newsProvider.search({
+        category: categoryName,
+        country: settings.country,
+        sentiment: 'positive',
+        page: decodeCursor(req.query.cursor),
+      });
+      const posts = await preparePosts(req.apiUserId, result.posts, settings);
+
+      res.json({
+        success: true,
+        category: categoryName,
+        posts: posts.map(toApiPost),
+        totalResults: result.totalResults,
+        nextCursor: encodeCursor(result.next),
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_CURSOR') {
+        return apiError(res, 400, 'INVALID_CURSOR', 'That page of results is no longer available');
+      }
+      console.error('API error fetching category:', error);
+      apiError(res, 502, 'NEWS_UNAVAILABLE', 'Error fetching news');
+    }
+  });
+
+  // Same filters as /search: q (required), category, from, to (YYYY-MM-DD), cursor
+  api.get('/search', async (req, res) => {
+    const searchQuery = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, MAX_SEARCH_LENGTH) : '';
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+
+    if (!searchQuery) {
+      return apiError(res, 400, 'VALIDATION_ERROR', 'q is required');
+    }
+    if (req.query.category && !CATEGORIES.includes(req.query.category)) {
+      return apiError(res, 400, 'VALIDATION_ERROR', `Unknown category "${req.query.category}"`);
+    }
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return apiError(res, 400, 'VALIDATION_ERROR', 'Dates must be YYYY-MM-DD');
+    }
+    if (from && to && from > to) {
+      return apiError(res, 400, 'VALIDATION_ERROR', 'from must be before to');
+    }
+
+    try {
+      const settings = await loadFeedSettings(req.apiUserId);
+      const result = await newsProvider.search({
+        query: searchQuery,
+        category: req.query.category || undefined,
+        country: settings.country,
+        from,
+        to,
+        sentiment: 'positive',
+        page: decodeCursor(req.query.cursor),
+      });
+      const posts = await preparePosts(req.apiUserId, result.posts, settings);
+
+      res.json({
+        success: true,
+        posts: posts.map(toApiPost),
+        totalResults: result.totalResults,
+        nextCursor: encodeCursor(result.next),
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_CURSOR') {
+        return apiError(res, 400, 'INVALID_CURSOR', 'That page of results is no longer available');
+      }
+      console.error('API error searching news:', error);
+      apiError(res, 502, 'NEWS_UNAVAILABLE', 'Error searching news');
+    }
+  });
+
+  // Saved articles; ?collection=<id | none> and ?tag= work as on /saved
+  api.get('/saved', async (req, res) => {
+    try {
+      const [rows, tagRows] = await Promise.all([
+        savedArticlesQuery(req.apiUserId, {
+          collection: typeof req.query.collection === 'string' ? req.query.collection : '',
+          tag: typeof req.query.tag === 'string' ? normalizeTag(req.query.tag) : '',
+        }),
+        db('article_tags').where({ user_id: req.apiUserId }).select('url', 'tag').orderBy('tag', 'asc'),
+      ]);
+      const tagsByUrl = {};
+      tagRows.forEach(({ url, tag }) => {
+        (tagsByUrl[url] = tagsByUrl[url] || []).push(tag);
+      });
+
+      res.json({
+        success: true,
+        articles: rows.map((row) => ({
+          ...toApiPost(savedArticleToPost(row)),
+          collection_id: row.collection_id,
+          tags: tagsByUrl[row.url] || [],
+        })),
+      });
+    } catch (error) {
+      console.error('API error fetching saved articles:', error);
+      apiError(res, 500, 'SERVER_ERROR', 'Error loading saved articles');
+    }
+  });
+
+  api.post('/saved', async (req, res) => {
+    const { title, url } = req.body || {};
+    if (typeof title !== 'string' || !title || typeof url !== 'string' || !url) {
+      return apiError(res, 400, 'VALIDATION_ERROR', 'title and url are required');
+    }
+    const invalid = API_SAVED_FIELDS.find((field) => req.body[field] != null && typeof req.body[field] !== 'string');
+    if (invalid) {
+      return apiError(res, 400, 'VALIDATION_ERROR', `${invalid} must be a string`);
+    }
+
+    try {
+      await saveArticle(req.apiUserId, req.body);
+      res.status(201).json({ success: true, message: 'Article saved successfully' });
+    } catch (error) {
+      if (error.message === 'DUPLICATE_ARTICLE') {
+        return apiError(res, 409, 'CONFLICT', 'Article already saved');
+      }
+      console.error('API error saving article:', error);
+      apiError(res, 500, 'SERVER_ERROR', 'Error saving article');
+    }
+  });
+
+  // DELETE /api/v1/saved?url=<article url>
+  api.delete('/saved', async (req, res) => {
+    const url = typeof req.query.url === 'string' ? req.query.url : '';
+    if (!url) {
+      return apiError(res, 400, 'VALIDATION_ERROR', 'url is required');
+    }
+
+    try {
+      const deleted = await unsaveArticle(req.apiUserId, url);
+      if (deleted === 0) {
+        return apiError(res, 404, 'NOT_FOUND', 'Article not found');
+      }
+      res.json({ success: true, message: 'Article removed successfully' });
+    } catch (error) {
+      console.error('API error removing article:', error);
+      apiError(res, 500, 'SERVER_ERROR', 'Error removing article');
+    }
+  });
+
+  api.get('/preferences', async (req, res) => {
+    try {
+      const { values } = await loadPreferenceValues(req.apiUserId);
+      res.json({
+        success: true,
+        preferences: {
+          topics: values.topics,
+          hide_read: values.hide_read,
+          news_scope: values.news_scope,
+          min_sentiment: parseSentiment(values.min_sentiment),
+          blocked_keywords: values.blocked_keywords ? values.blocked_keywords.split('\n') : [],
+          blocked_domains: values.blocked_domains ? values.blocked_domains.split('\n') : [],
+        },
+      });
+    } catch (error) {
+      console.error('API error loading preferences:', error);
+      apiError(res, 500, 'SERVER_ERROR', 'Error loading preferences');
+    }
+  });
+
+  // Replaces all preferences; omitted fields fall back to their defaults
+  api.put('/preferences', async (req, res) => {
+    const body = req.body || {};
+    if (body.topics !== undefined && !Array.isArray(body.topics)) {
+      return apiError(res, 400, 'VALIDATION_ERROR', 'topics must be an array of { category, weight, country }');
+    }
+    if (body.news_scope !== undefined && !['national', 'local'].includes(body.news_scope)) {
+      return apiError(res, 400, 'VALIDATION_ERROR', 'news_scope must be "national" or "local"');
+    }
+    if (body.hide_read !== undefined && typeof body.hide_read !== 'boolean') {
+      return apiError(res, 400, 'VALIDATION_ERROR', 'hide_read must be true or false');
+    }
+    if (body.min_sentiment != null && typeof body.min_sentiment !== 'number') {
+      return apiError(res, 400, 'VALIDATION_ERROR', 'min_sentiment must be a number between -1 and 1, or null');
+    }
+    const listField = ['blocked_keywords', 'blocked_domains'].find(
+      (field) => body[field] !== undefined && !isStringList(body[field])
+    );
+    if (listField) {
+      return apiError(res, 400, 'VALIDATION_ERROR', `${listField} must be an array of strings`);
+    }
+
+    const preferences = {
+      topics: parseTopics(body.topics),
+      hide_read: body.hide_read === true,
+      news_scope: body.news_scope === 'local' ? 'local' : 'national',
+      min_sentiment: parseSentiment(body.min_sentiment),
+      blockedKeywords: parseRuleList('keyword', (body.blocked_keywords || []).join('\n')),
+      blockedDomains: parseRuleList('domain', (body.blocked_domains || []).join('\n')),
+    };
+
+    try {
+      await savePreferences(req.apiUserId, preferences);
+      res.json({
+        success: true,
+        preferences: {
+          topics: preferences.topics,
+          hide_read: preferences.hide_read,
+          news_scope: preferences.news_scope,
+          min_sentiment: preferences.min_sentiment,
+          blocked_keywords: preferences.blockedKeywords,
+          blocked_domains: preferences.blockedDomains,
+        },
+      });
+    } catch (error) {
+      console.error('API error saving preferences:', error);
+      apiError(res, 500, 'SERVER_ERROR', 'Error saving preferences');
+    }
+  });
+
+  api.use((req, res) => apiError(res, 404, 'NOT_FOUND', `No API route for ${req.method} ${req.path}`));
+
+  // Malformed JSON bodies and anything else thrown inside the router
+  api.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return apiError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+    if (err.type === 'entity.too.large') {
+      return apiError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+    }
+    console.error('API error:', err);
+    apiError(res, 500, 'SERVER_ERROR', 'Something went wrong');
+  });
+
+  app.use('/api/v1', api);
+
+  return { app, digestJob, purgeJob };
+};
+
+module.exports = { createApp };
@@ -0,0 +1,21 @@
+// Database settings shared by the app and the knex CLI (npm run migrate,
+// migrate:rollback, seed). Reads the same DB_* variables from .env.
+require('dotenv').config();
+
+module.exports = {
+  client: 'pg',
+  connection: {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT,
+    ssl: process.env.DB_SSL ? { rejectUnauthorized: false } : false,
+  },
+  migrations: {
+    directory: './migrations',
+  },
+  seeds: {
+    directory: './seeds',
+  },
+};
@@ -0,0 +1,174 @@
+const { CATEGORIES, loadTopicsForUsers } = require('./topics');
+const { ROLES, loadRolesForUsers } = require('./roles');
+
+// Filtering, sorting and paging for the admin user list and its CSV export.
+// Everything is done in SQL so large user tables aren't loaded in one go.
+const SORT_COLUMNS = {
+  user_id: ['person.user_id'],
+  username: ['users.username'],
+  name: ['person.last_name', 'person.first_name'],
+  city: ['person.city'],
+  state: ['person.state'],
+  country: ['person.country'],
+};
+const PAGE_SIZES = [10, 25, 50, 100];
+const DEFAULT_PAGE_SIZE = 25;
+// '' = everyone, admin = any role, regular = no role, or a single role name
+const ROLE_FILTERS = ['admin', 'regular', ...ROLES];
+
+const queryString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Normalize the list's query string into filters (unknown values are dropped)
+const parseUserFilters = (query = {}) => {
+  const perPage = Number.parseInt(query.per_page, 10);
+  const page = Number.parseInt(query.page, 10);
+  return {
+    search: queryString(query.search).slice(0, 100),
+    category: CATEGORIES.includes(query.category) ? query.category : '',
+    state: queryString(query.state),
+    country: queryString(query.country),
+    role: ROLE_FILTERS.includes(query.role) ? query.role : '',
+    sort: Object.hasOwn(SORT_COLUMNS, query.sort) ? query.sort : 'user_id',
+    dir: query.dir === 'desc' ? 'desc' : 'asc',
+    page: Number.isNaN(page) || page < 1 ? 1 : page,
+    perPage: PAGE_SIZES.includes(perPage) ? perPage : DEFAULT_PAGE_SIZE,
+  };
+};
+
+// URL of the list (or the export) with the given filters changed. Defaults are
+// left out to keep links short.
+const userListUrl = (filters, changes = {}, path = '/admin/users') => {
+  const next = { ...filters, ...changes };
+  const params = new URLSearchParams();
+  [
+    ['search', next.search, ''],
+    ['category', next.category, ''],
+    ['state', next.state, ''],
+    ['country', next.country, ''],
+    ['role', next.role, ''],
+    ['sort', next.sort, 'user_id'],
+    ['dir', next.dir, 'asc'],
+    ['per_page', next.perPage, DEFAULT_PAGE_SIZE],
+    ['page', next.page, 1],
+  ].forEach(([name, value, fallback]) => {
+    if (value !== undefined && value !== null && value !== fallback) {
+      params.set(name, value);
+    }
+  });
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+};
+
+// person LEFT JOIN users with the filters applied (no select/order/limit yet).
+// Soft-deleted people are left out; see lib/deleted-users.js.
+const filteredPeople = (db, filters) => {
+  const query = db('person')
+    .leftJoin('users', 'person.user_id', 'users.user_id')
+    .whereNull('person.deleted_at');
+
+  if (filters.search) {
+    const searchId = /^\d+$/.test(filters.search) ? Number(filters.search) : null;
+    query.where((qb) => {
+      qb.whereILike('users.username', `%${filters.search}%`)
+        .orWhereILike('users.email', `%${filters.search}%`)
+        .orWhereILike('person.first_name', `%${filters.search}%`)
+        .orWhereILike('person.last_name', `%${filters.search}%`);
+      if (searchId !== null) {
+        qb.orWhere('person.user_id', searchId);
+      }
+    });
+  }
+  if (filters.state) {
+    query.where('person.state', filters.state);
+  }
+  if (filters.country) {
+    query.where('person.country', filters.country);
+  }
+  if (filters.category) {
+    query.whereIn('person.user_id', db('user_topics').select('user_id').where({ category: filters.category }));
+  }
+  if (filters.role) {
+    const withRole = db('user_roles').select('user_id');
+    if (filters.role === 'regular') {
+      query.where((qb) => qb.whereNull('person.user_id').orWhereNotIn('person.user_id', withRole));
+    } else {
+      if (filters.role !== 'admin') {
+        withRole.where({ role: filters.role });
+      }
+      query.whereIn('person.user_id', withRole);
+    }
+  }
+  return query;
+};
+
+const PERSON_COLUMNS = [
+  'person.person_id',
+  'person.user_id',
+  'person.first_name',
+  'person.last_name',
+  'person.city',
+  'person.state',
+  'person.country',
+  'users.username',
+  'users.email',
+];
+
+// Adds topics and roles to each row
+const withTopicsAndRoles = async (db, people) => {
+  const userIds = people.map((person) => person.user_id).filter(Boolean);
+  const [topicsByUser, rolesByUser] = await Promise.all([
+    loadTopicsForUsers(db, userIds),
+    loadRolesForUsers(db, userIds),
+  ]);
+  return people.map((person) => ({
+    ...person,
+    topics: topicsByUser.get(person.user_id) || [],
+    roles: rolesByUser.get(person.user_id) || [],
+  }));
+};
+
+const sortedPeople = (db, filters) => {
+  const query = filteredPeople(db, filters).select(PERSON_COLUMNS);
+  SORT_COLUMNS[filters.sort].forEach((column) => query.orderBy(column, filters.dir, 'last'));
+  return query.orderBy('person.person_id', 'asc');
+};
+
+// One page of the list -> { people, total, page, pages }. A page past the end
+// is clamped to the last page.
+const listPeople = async (db, filters) => {
+  const [{ count }] = await filteredPeople(db, filters).count('person.person_id as count');
+  const total = Number(count);
+  const pages = Math.max(1, Math.ceil(total / filters.perPage));
+  const page = Math.min(filters.page, pages);
+  const people = await sortedPeople(db, filters)
+    .limit(filters.perPage)
+    .offset((page - 1) * filters.perPage);
+  return { people: await withTopicsAndRoles(db, people), total, page, pages };
+};
+
+// Every matching row (up to `limit`) for the CSV export
+const exportPeople = async (db, filters, { limit = 10000 } = {}) =>
+  withTopicsAndRoles(db, await sortedPeople(db, filters).limit(limit));
+
+// Distinct states and countries in use, for the filter dropdowns
+const loadLocationOptions = async (db) => {
+  const [states, countries] = await Promise.all([
+    db('person').distinct('state').whereNotNull('state').whereNull('deleted_at').orderBy('state'),
+    db('person').distinct('country').whereNotNull('country').whereNull('deleted_at').orderBy('country'),
+  ]);
+  return {
+    states: states.map((row) => row.state).filter(Boolean),
+    countries: countries.map((row) => row.country).filter(Boolean),
+  };
+};
+
+module.exports = {
+  SORT_COLUMNS,
+  PAGE_SIZES,
+  ROLE_FILTERS,
+  parseUserFilters,
+  userListUrl,
+  listPeople,
+  exportPeople,
+  loadLocationOptions,
+};
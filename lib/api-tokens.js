@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// Personal API tokens for /api/v1. Only a SHA-256 hash of each token is
+// stored; the plain token is shown to the user once, when it is created.
+const TOKEN_PREFIX = 'ogn_';
+const MAX_TOKENS_PER_USER = 10;
+const DEFAULT_RATE_LIMIT = 60; // requests per token per window
+const DEFAULT_RATE_WINDOW_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createApiToken = async (db, userId, name) => {
+  const [{ count }] = await db('api_tokens')
+    .where({ user_id: userId })
+    .whereNull('revoked_at')
+    .count('token_id as count');
+  if (Number(count) >= MAX_TOKENS_PER_USER) {
+    throw new Error('TOO_MANY_TOKENS');
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const [record] = await db('api_tokens')
+    .insert({
+      user_id: userId,
+      name,
+      token_hash: hashToken(token),
+      token_hint: token.slice(-4),
+    })
+    .returning(['token_id', 'name', 'token_hint', 'created_at']);
+  return { token, record };
+};
+
+const listApiTokens = (db, userId) =>
+  db('api_tokens')
+    .where({ user_id: userId })
+    .whereNull('revoked_at')
+    .select('token_id', 'name', 'token_hint', 'rate_limit', 'created_at', 'last_used_at')
+    .orderBy('created_at', 'desc');
+
+// Returns the number of tokens revoked (0 if it wasn't the user's token)
+const revokeApiToken = (db, userId, tokenId) =>
+  db('api_tokens')
+    .where({ token_id: tokenId, user_id: userId })
+    .whereNull('revoked_at')
+    .update({ revoked_at: db.fn.now() });
+
+// Look up an active token; returns { token_id, user_id, rate_limit } or null
+const findApiToken = async (db, token) => {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  // Tokens of soft-deleted accounts stop working (and work again on restore)
+  const record = await db('api_tokens')
+    .join('users', 'api_tokens.user_id', 'users.user_id')
+    .where({ 'api_tokens.token_hash': hashToken(token) })
+    .whereNull('api_tokens.revoked_at')
+    .whereNull('users.deleted_at')
+    .select('api_tokens.token_id', 'api_tokens.user_id', 'api_tokens.rate_limit')
+    .first();
+  if (record) {
+    await db('api_tokens').where({ token_id: record.token_id }).update({ last_used_at: db.fn.now() });
+  }
+  return record || null;
+};
+
+// Fixed-window rate limiter kept in memory, keyed by token id.
+// hit() returns { allowed, limit, remaining, resetAt }.
+const createRateLimiter = ({ windowMs = DEFAULT_RATE_WINDOW_MS, now = Date.now } = {}) => {
+  const windows = new Map();
+
+  const hit = (key, limit = DEFAULT_RATE_LIMIT) => {
+    const current = now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= current) {
+      entry = { count: 0, resetAt: current + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count += 1;
+
+    // Drop expired windows now and then so the map doesn't grow forever
+    if (windows.size > 1000) {
+      windows.forEach((value, windowKey) => {
+        if (value.resetAt <= current) {
+          windows.delete(windowKey);
+        }
+      });
+    }
+
+    return {
+      allowed: entry.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - entry.count),
+      resetAt: entry.resetAt,
+    };
+  };
+
+  return { hit };
+};
+
+module.exports = {
+  TOKEN_PREFIX,
+  MAX_TOKENS_PER_USER,
+  DEFAULT_RATE_LIMIT,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  findApiToken,
+  createRateLimiter,
+};
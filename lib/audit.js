@@ -0,0 +1,154 @@
+const { loadRoles } = require('./roles');
+
+// Audit log of admin changes to users (admin_audit_log). Each entry records
+// who did it, to whom, when, and a field-by-field before/after diff of the
+// target's users and person rows. Password hashes never reach the log: a
+// password change shows up as "[redacted]" on both sides. Purges are run by the
+// purge job, so they have no actor.
+const AUDIT_ACTIONS = [
+  'user.create',
+  'user.update',
+  'user.delete',
+  'user.restore',
+  'user.purge',
+  'user.logout',
+  'user.unlock',
+];
+const USER_FIELDS = ['username', 'email', 'password', 'locked_until'];
+const PERSON_FIELDS = ['first_name', 'last_name', 'city', 'state', 'country', 'deleted_at'];
+const REDACTED_FIELDS = ['users.password'];
+const REDACTED = '[redacted]';
+
+const normalizeValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+};
+
+// The audited fields of a person and/or user, keyed `table.column` (plus
+// `roles`), or null when neither exists. Pass a transaction to read the rows
+// as that transaction sees them.
+const snapshotTarget = async (db, { personId = null, userId = null } = {}) => {
+  let person = null;
+  if (personId) {
+    person = await db('person').where({ person_id: personId }).first();
+  } else if (userId) {
+    person = await db('person').where({ user_id: userId }).first();
+  }
+  const targetUserId = userId || (person && person.user_id) || null;
+  const user = targetUserId ? await db('users').where({ user_id: targetUserId }).first() : null;
+  if (!person && !user) {
+    return null;
+  }
+
+  const fields = {};
+  USER_FIELDS.forEach((field) => {
+    fields[`users.${field}`] = normalizeValue(user ? user[field] : null);
+  });
+  PERSON_FIELDS.forEach((field) => {
+    fields[`person.${field}`] = normalizeValue(person ? person[field] : null);
+  });
+  fields.roles = user ? await loadRoles(db, user.user_id) : [];
+
+  return {
+    userId: user ? user.user_id : null,
+    personId: person ? person.person_id : null,
+    username: user ? user.username : null,
+    fields,
+  };
+};
+
+// { field: { from, to } } for every field that differs between two snapshots
+const diffSnapshots = (before, after) => {
+  const beforeFields = before ? before.fields : {};
+  const afterFields = after ? after.fields : {};
+  const changes = {};
+  const keys = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])];
+  keys.forEach((key) => {
+    const from = normalizeValue(beforeFields[key]);
+    const to = normalizeValue(afterFields[key]);
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      return;
+    }
+    changes[key] = REDACTED_FIELDS.includes(key)
+      ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+      : { from, to };
+  });
+  return changes;
+};
+
+const recordAudit = async (db, { actorId, actorUsername, action, before = null, after = null, ip = null }) => {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new Error('UNKNOWN_AUDIT_ACTION');
+  }
+  const target = after || before || {};
+  await db('admin_audit_log').insert({
+    actor_id: actorId || null,
+    actor_username: actorUsername || null,
+    action,
+    target_user_id: target.userId || null,
+    target_person_id: target.personId || null,
+    target_username: target.username || null,
+    changes: JSON.stringify(diffSnapshots(before, after)),
+    ip,
+  });
+};
+
+// Newest first. `actor` and `target` match usernames (partial, any case); a
+// numeric `target` also matches the target's user id. `from` and `to` are
+// Dates; `to` is exclusive.
+const listAuditEntries = async (db, { actor, target, action, from, to, limit = 100 } = {}) => {
+  const query = db('admin_audit_log')
+    .select(
+      'audit_id',
+      'actor_id',
+      'actor_username',
+      'action',
+      'target_user_id',
+      'target_person_id',
+      'target_username',
+      'changes',
+      'ip',
+      'created_at'
+    )
+    .orderBy('created_at', 'desc')
+    .orderBy('audit_id', 'desc')
+    .limit(limit);
+  if (actor) {
+    query.whereILike('actor_username', `%${actor}%`);
+  }
+  if (target) {
+    const targetId = /^\d+$/.test(target) ? Number(target) : null;
+    query.where((qb) => {
+      qb.whereILike('target_username', `%${target}%`);
+      if (targetId !== null) {
+        qb.orWhere('target_user_id', targetId);
+      }
+    });
+  }
+  if (action) {
+    query.where({ action });
+  }
+  if (from) {
+    query.where('created_at', '>=', from);
+  }
+  if (to) {
+    query.where('created_at', '<', to);
+  }
+  const entries = await query;
+  // pg parses jsonb; other drivers may hand back the JSON text
+  return entries.map((entry) => ({
+    ...entry,
+    changes: typeof entry.changes === 'string' ? JSON.parse(entry.changes) : entry.changes || {},
+  }));
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  REDACTED,
+  snapshotTarget,
+  diffSnapshots,
+  recordAudit,
+  listAuditEntries,
+};
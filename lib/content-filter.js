@@ -0,0 +1,176 @@
+// Local post-filter pipeline applied to provider results before rendering.
+// Rules live in content_rules (user_id NULL = global rule set by admins):
+//   keyword  - drop posts whose title/text contains the word or phrase
+//   domain   - drop posts from the site or any of its subdomains
+//   category - drop posts in the category (global only; also hidden from topic pickers)
+// plus a minimum sentiment score, globally (app_settings) and per user (person.min_sentiment).
+const RULE_TYPES = ['keyword', 'domain', 'category'];
+const DEFAULT_RULES_TTL_SECONDS = 60;
+
+const POSITIVE_WORDS = [
+  'award', 'breakthrough', 'celebrate', 'celebrates', 'cure', 'donate', 'donates', 'donated',
+  'gift', 'grateful', 'growth', 'happy', 'help', 'helps', 'helped', 'hope', 'improve', 'improves',
+  'inspire', 'inspiring', 'joy', 'kind', 'kindness', 'love', 'recover', 'recovery', 'rescue',
+  'rescued', 'restore', 'restores', 'success', 'thrive', 'volunteer', 'volunteers', 'win', 'wins',
+];
+
+const NEGATIVE_WORDS = [
+  'abuse', 'arrested', 'attack', 'bomb', 'crash', 'crisis', 'dead', 'death', 'dies', 'disaster',
+  'fear', 'fraud', 'injured', 'killed', 'lawsuit', 'murder', 'scandal', 'shooting', 'terror',
+  'tragedy', 'victim', 'victims', 'violence', 'war',
+];
+
+// Lexicon score in [-1, 1]: (positive - negative) / matched words, 0 when nothing matched
+const sentimentScore = (post) => {
+  const words = `${post.title || ''} ${post.text || ''}`.toLowerCase().match(/[a-z']+/g) || [];
+  let positive = 0;
+  let negative = 0;
+  words.forEach((word) => {
+    if (POSITIVE_WORDS.includes(word)) {
+      positive += 1;
+    } else if (NEGATIVE_WORDS.includes(word)) {
+      negative += 1;
+    }
+  });
+  return positive + negative === 0 ? 0 : (positive - negative) / (positive + negative);
+};
+
+const normalizeDomain = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[/?#:].*$/, '');
+
+const normalizeRuleValue = (type, value) => {
+  if (type === 'domain') {
+    return normalizeDomain(value);
+  }
+  if (type === 'category') {
+    return String(value || '').trim();
+  }
+  return String(value || '').trim().toLowerCase().slice(0, 100);
+};
+
+const postDomain = (post) => {
+  const site = post.thread && (post.thread.site_full || post.thread.site);
+  if (site) {
+    return normalizeDomain(site);
+  }
+  try {
+    return normalizeDomain(new URL(post.url).hostname);
+  } catch (err) {
+    return '';
+  }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the filter function for a rule set:
+//   { keywords: [], domains: [], categories: [], minSentiment: number | null }
+const buildContentFilter = ({ keywords = [], domains = [], categories = [], minSentiment = null }) => {
+  const keywordPatterns = keywords.map((keyword) => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i'));
+
+  return (posts) =>
+    posts.filter((post) => {
+      if (categories.length > 0 && (post.categories || []).some((category) => categories.includes(category))) {
+        return false;
+      }
+      if (domains.length > 0) {
+        const domain = postDomain(post);
+        if (domains.some((blocked) => domain === blocked || domain.endsWith(`.${blocked}`))) {
+          return false;
+        }
+      }
+      if (keywordPatterns.length > 0) {
+        const text = `${post.title || ''} ${post.text || ''}`;
+        if (keywordPatterns.some((pattern) => pattern.test(text))) {
+          return false;
+        }
+      }
+      if (post.sentiment === 'negative') {
+        return false;
+      }
+      // The lexicon only knows so many words; a post it can't score (0, like
+      // most neutral headlines) isn't held to the threshold
+      if (minSentiment !== null) {
+        const score = sentimentScore(post);
+        if (score !== 0 && score < minSentiment) {
+          return false;
+        }
+      }
+      return true;
+    });
+};
+
+const groupRules = (rows) => ({
+  keywords: rows.filter((row) => row.rule_type === 'keyword').map((row) => row.value),
+  domains: rows.filter((row) => row.rule_type === 'domain').map((row) => row.value),
+  categories: rows.filter((row) => row.rule_type === 'category').map((row) => row.value),
+});
+
+const parseSentiment = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : Math.min(Math.max(number, -1), 1);
+};
+
+// Loads rules through the app's knex connection. Global rules are cached for
+// ttlSeconds; call invalidate() after changing them.
+const createContentRules = (db, { ttlSeconds = DEFAULT_RULES_TTL_SECONDS } = {}) => {
+  let globalCache = null;
+  let globalLoadedAt = 0;
+
+  const loadGlobal = async () => {
+    if (globalCache && Date.now() - globalLoadedAt < ttlSeconds * 1000) {
+      return globalCache;
+    }
+    const [rows, setting] = await Promise.all([
+      db('content_rules').whereNull('user_id').select('rule_type', 'value'),
+      db('app_settings').where({ key: 'min_sentiment' }).first(),
+    ]);
+    globalCache = { ...groupRules(rows), minSentiment: parseSentiment(setting && setting.value) };
+    globalLoadedAt = Date.now();
+    return globalCache;
+  };
+
+  // Global rules merged with the user's own; the stricter sentiment threshold wins
+  const forUser = async (userId) => {
+    const global = await loadGlobal();
+    if (!userId) {
+      return global;
+    }
+    const [rows, person] = await Promise.all([
+      db('content_rules').where({ user_id: userId }).select('rule_type', 'value'),
+      db('person').select('min_sentiment').where({ user_id: userId }).first(),
+    ]);
+    const own = groupRules(rows);
+    const thresholds = [global.minSentiment, parseSentiment(person && person.min_sentiment)].filter(
+      (value) => value !== null
+    );
+    return {
+      keywords: [...global.keywords, ...own.keywords],
+      domains: [...global.domains, ...own.domains],
+      categories: global.categories,
+      minSentiment: thresholds.length > 0 ? Math.max(...thresholds) : null,
+    };
+  };
+
+  const invalidate = () => {
+    globalCache = null;
+  };
+
+  return { loadGlobal, forUser, invalidate };
+};
+
+module.exports = {
+  RULE_TYPES,
+  sentimentScore,
+  normalizeRuleValue,
+  parseSentiment,
+  buildContentFilter,
+  createContentRules,
+};
@@ -0,0 +1,87 @@
+// Countries offered on the signup/admin forms, keyed by the name stored in
+// person.country, with the ISO 3166-1 alpha-2 code the news providers expect.
+const COUNTRIES = {
+  USA: 'US',
+  Canada: 'CA',
+  Mexico: 'MX',
+  'United Kingdom': 'GB',
+  Ireland: 'IE',
+  Germany: 'DE',
+  France: 'FR',
+  Spain: 'ES',
+  Italy: 'IT',
+  Netherlands: 'NL',
+  Belgium: 'BE',
+  Sweden: 'SE',
+  Norway: 'NO',
+  Denmark: 'DK',
+  Finland: 'FI',
+  Switzerland: 'CH',
+  Austria: 'AT',
+  Australia: 'AU',
+  'New Zealand': 'NZ',
+  India: 'IN',
+  China: 'CN',
+  Japan: 'JP',
+  'South Korea': 'KR',
+  Singapore: 'SG',
+  Philippines: 'PH',
+  Brazil: 'BR',
+  Argentina: 'AR',
+  Chile: 'CL',
+  Colombia: 'CO',
+  'South Africa': 'ZA',
+  Nigeria: 'NG',
+  Kenya: 'KE',
+  Egypt: 'EG',
+  Israel: 'IL',
+  'United Arab Emirates': 'AE',
+  'Saudi Arabia': 'SA',
+  Turkey: 'TR',
+};
+
+const COUNTRY_NAMES = [...Object.keys(COUNTRIES), 'Other'];
+
+const COUNTRY_CODES = new Set(Object.values(COUNTRIES));
+
+// Accept either a form value ("USA") or an ISO code ("us") and return the ISO code
+const countryCode = (value) => {
+  if (!value) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  if (COUNTRIES[trimmed]) {
+    return COUNTRIES[trimmed];
+  }
+  const upper = trimmed.toUpperCase();
+  return COUNTRY_CODES.has(upper) ? upper : null;
+};
+
+// US state codes used by the signup/admin forms -> names, for location searches
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa',
+  KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+  MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri',
+  MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+  NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio',
+  OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+};
+
+const stateName = (code) => (code ? US_STATES[String(code).trim().toUpperCase()] || null : null);
+
+// ISO code -> display name, for showing stored topic filters
+const countryName = (code) =>
+  Object.keys(COUNTRIES).find((name) => COUNTRIES[name] === code) || code;
+
+module.exports = {
+  COUNTRIES,
+  COUNTRY_NAMES,
+  US_STATES,
+  countryCode,
+  countryName,
+  stateName,
+};
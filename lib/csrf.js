@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+// CSRF protection for the cookie-authenticated pages and fetch calls.
+// Signed-in sessions get one random token, kept in the session. Anonymous
+// visitors (login, signup, forgot password) get a signed double-submit token
+// in a cookie instead, so showing them a form doesn't store a session row.
+// Forms send the token back in a hidden `_csrf` field and fetch calls in an
+// X-CSRF-Token header. Unsafe requests are also rejected when the browser says
+// they came from another site (Origin header, or Referer when Origin is missing).
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const FIELD_NAME = '_csrf';
+const HEADER_NAME = 'x-csrf-token';
+const COOKIE_NAME = 'csrf_token';
+
+// The session's token, created on first use (which also saves the session)
+const csrfToken = (session) => {
+  if (!session.csrfToken) {
+    session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  return session.csrfToken;
+};
+
+const sign = (secret, nonce) => crypto.createHmac('sha256', secret).update(nonce).digest('base64url');
+
+// "<nonce>.<signature>" for the anonymous cookie
+const signedToken = (secret) => {
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  return `${nonce}.${sign(secret, nonce)}`;
+};
+
+const hasValidSignature = (secret, token) => {
+  if (typeof token !== 'string') {
+    return false;
+  }
+  const [nonce, signature, extra] = token.split('.');
+  return !!nonce && extra === undefined && tokensMatch(sign(secret, nonce), signature);
+};
+
+const readCookie = (req, name) => {
+  const pair = String(req.get('cookie') || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+const tokensMatch = (expected, actual) => {
+  if (typeof expected !== 'string' || typeof actual !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Origin of the page that sent the request, or null when the browser didn't say
+const sourceOrigin = (req) => {
+  const origin = req.get('origin');
+  if (origin) {
+    return origin;
+  }
+  const referer = req.get('referer');
+  if (!referer) {
+    return null;
+  }
+  try {
+    return new URL(referer).origin;
+  } catch (err) {
+    return 'null';
+  }
+};
+
+const isSameOrigin = (req, origin, trustedOrigins) => {
+  if (trustedOrigins.includes(origin)) {
+    return true;
+  }
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch (err) {
+    return false; // "null" origins (sandboxed frames, file://, data:)
+  }
+};
+
+// Returns `{ reason }` when the request must be rejected, otherwise null.
+// Reasons: CSRF_ORIGIN (cross-site request) or CSRF_TOKEN (missing/wrong token).
+// The token may be the session's or, for forms shown before signing in, the
+// signed cookie's.
+const checkRequest = (req, { secret, trustedOrigins = [] } = {}) => {
+  const origin = sourceOrigin(req);
+  if (origin && !isSameOrigin(req, origin, trustedOrigins)) {
+    return { reason: 'CSRF_ORIGIN' };
+  }
+  const sent = (req.body && req.body[FIELD_NAME]) || req.get(HEADER_NAME);
+  if (tokensMatch(req.session && req.session.csrfToken, sent)) {
+    return null;
+  }
+  const cookie = readCookie(req, COOKIE_NAME);
+  if (secret && tokensMatch(cookie, sent) && hasValidSignature(secret, cookie)) {
+    return null;
+  }
+  return { reason: 'CSRF_TOKEN' };
+};
+
+// Express middleware; mount after the session and body parsers. Exposes
+// `csrfToken()` to templates and checks every POST/PUT/PATCH/DELETE, except
+// paths under `ignorePaths` (e.g. the bearer-token API). `secret` signs the
+// anonymous cookie tokens (the app passes its session secret). `onReject(req,
+// res, reason)` sends the 403.
+const createCsrfProtection = ({ secret, ignorePaths = [], trustedOrigins = [], onReject } = {}) => {
+  if (!secret) {
+    throw new Error('createCsrfProtection needs a secret');
+  }
+  const reject =
+    onReject ||
+    ((req, res) => res.status(403).send('Invalid or missing CSRF token'));
+
+  // Signed-in users use the session token; anyone else keeps (or gets) the cookie
+  const tokenFor = (req, res) => {
+    if (req.session && req.session.userId) {
+      return csrfToken(req.session);
+    }
+    const existing = readCookie(req, COOKIE_NAME);
+    if (hasValidSignature(secret, existing)) {
+      return existing;
+    }
+    const token = signedToken(secret);
+    res.cookie(COOKIE_NAME, token, { httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' });
+    return token;
+  };
+
+  return (req, res, next) => {
+    let token = null;
+    res.locals.csrfToken = () => {
+      token = token || tokenFor(req, res);
+      return token;
+    };
+
+    if (SAFE_METHODS.includes(req.method)) {
+      return next();
+    }
+    if (ignorePaths.some((prefix) => req.path.startsWith(prefix))) {
+      return next();
+    }
+    const failure = checkRequest(req, { secret, trustedOrigins });
+    if (failure) {
+      return reject(req, res, failure.reason);
+    }
+    next();
+  };
+};
+
+module.exports = {
+  FIELD_NAME,
+  HEADER_NAME,
+  COOKIE_NAME,
+  csrfToken,
+  tokensMatch,
+  checkRequest,
+  createCsrfProtection,
+};
@@ -0,0 +1,96 @@
+// Minimal RFC 4180 CSV reading and writing for the admin import/export.
+
+// Cells starting with these could run as formulas when the file is opened in
+// a spreadsheet, so exported values get a leading apostrophe.
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+const escapeCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (text && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, header }]; rows: objects with those keys
+const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map((column) => escapeCell(column.header)),
+    ...rows.map((row) => columns.map((column) => escapeCell(row[column.key]))),
+  ];
+  return `${lines.map((cells) => cells.join(',')).join('\r\n')}\r\n`;
+};
+
+// Text -> array of rows (arrays of strings). Handles quoted cells with
+// commas, doubled quotes and line breaks; skips blank lines. Throws
+// CSV_UNTERMINATED_QUOTE when a quoted cell never ends.
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV_UNTERMINATED_QUOTE');
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+// Rows with a header line -> { headers, records: [{ row, values: { header: value } }] }.
+// Headers are trimmed and lowercased; `row` counts data rows from 1.
+const parseCsvRecords = (text) => {
+  const [headerRow = [], ...dataRows] = parseCsv(text);
+  const headers = headerRow.map((header) => header.trim().toLowerCase());
+  const records = dataRows.map((cells, index) => {
+    const values = {};
+    headers.forEach((header, column) => {
+      values[header] = (cells[column] || '').trim();
+    });
+    return { row: index + 1, values };
+  });
+  return { headers, records };
+};
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  parseCsvRecords,
+};
@@ -0,0 +1,144 @@
+const { snapshotTarget, recordAudit } = require('./audit');
+
+// Soft deletion of accounts. Deleting marks person.deleted_at (and
+// users.deleted_at, which blocks sign-in); restoring clears both. The purge job
+// permanently removes accounts, with their saved articles, once they've been
+// deleted for longer than the retention period.
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mark a person and their login deleted -> the person row ({ person_id, user_id }).
+// Throws NOT_FOUND when there's no such person or it's already deleted. Pass a
+// transaction.
+const softDeletePerson = async (db, personId, { deletedBy = null, now = new Date() } = {}) => {
+  const person = await db('person')
+    .select('person_id', 'user_id')
+    .where({ person_id: personId })
+    .whereNull('deleted_at')
+    .first();
+  if (!person) {
+    throw new Error('NOT_FOUND');
+  }
+  await db('person').where({ person_id: personId }).update({ deleted_at: now, deleted_by: deletedBy });
+  if (person.user_id) {
+    await db('users').where({ user_id: person.user_id }).update({ deleted_at: now });
+    // Outstanding verification and password reset links die with the account
+    await db('user_tokens').where({ user_id: person.user_id }).del();
+  }
+  return person;
+};
+
+// Undo softDeletePerson. Throws NOT_FOUND when the person isn't deleted.
+const restorePerson = async (db, personId) => {
+  const person = await db('person')
+    .select('person_id', 'user_id', 'deleted_at')
+    .where({ person_id: personId })
+    .first();
+  if (!person || !person.deleted_at) {
+    throw new Error('NOT_FOUND');
+  }
+  await db('person').where({ person_id: personId }).update({ deleted_at: null, deleted_by: null });
+  if (person.user_id) {
+    await db('users').where({ user_id: person.user_id }).update({ deleted_at: null });
+  }
+  return person;
+};
+
+// Remove a person for good. Saved articles are deleted here because databases
+// created before the base migration have no foreign key from news_posts to
+// users; everything else keyed on users cascades.
+const purgePerson = async (db, { person_id: personId, user_id: userId }) => {
+  if (userId) {
+    await db('news_posts').where({ user_id: userId }).del();
+  }
+  await db('person').where({ person_id: personId }).del();
+  if (userId) {
+    await db('users').where({ user_id: userId }).del();
+  }
+};
+
+// When an account deleted at `deletedAt` will be purged
+const purgeDate = (deletedAt, retentionDays = DEFAULT_RETENTION_DAYS) =>
+  new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+
+// Deleted people, most recently deleted first, with who deleted them
+const listDeletedPeople = (db, { limit = 500 } = {}) =>
+  db('person')
+    .leftJoin('users', 'person.user_id', 'users.user_id')
+    .leftJoin('users as deleter', 'person.deleted_by', 'deleter.user_id')
+    .whereNotNull('person.deleted_at')
+    .select(
+      'person.person_id',
+      'person.user_id',
+      'person.first_name',
+      'person.last_name',
+      'person.deleted_at',
+      'users.username',
+      'users.email',
+      'deleter.username as deleted_by_username'
+    )
+    .orderBy('person.deleted_at', 'desc')
+    .orderBy('person.person_id', 'desc')
+    .limit(limit);
+
+const createPurgeJob = ({ db, retentionDays = DEFAULT_RETENTION_DAYS }) => {
+  // Purge every account deleted more than `retentionDays` ago; returns how many
+  const runDue = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+    const due = await db('person')
+      .select('person_id', 'user_id')
+      .where('deleted_at', '<', cutoff);
+
+    let purged = 0;
+    for (const person of due) {
+      try {
+        const removed = await db.transaction(async (trx) => {
+          // Skip accounts restored since the query above
+          const stillDue = await trx('person')
+            .where({ person_id: person.person_id })
+            .where('deleted_at', '<', cutoff)
+            .forUpdate()
+            .first();
+          if (!stillDue) {
+            return false;
+          }
+          const before = await snapshotTarget(trx, { personId: person.person_id });
+          await recordAudit(trx, { action: 'user.purge', before, after: null });
+          await purgePerson(trx, person);
+          return true;
+        });
+        purged += removed ? 1 : 0;
+      } catch (err) {
+        console.error(`Purge: error removing person ${person.person_id}:`, err.message);
+      }
+    }
+    return purged;
+  };
+
+  let timer = null;
+  const start = (intervalMs = 60 * 60 * 1000) => {
+    const tick = () => {
+      runDue().catch((err) => console.error('Purge job error:', err.message));
+    };
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { retentionDays, runDue, start, stop };
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  softDeletePerson,
+  restorePerson,
+  purgePerson,
+  purgeDate,
+  listDeletedPeople,
+  createPurgeJob,
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const path = require('path');
+const ejs = require('ejs');
+const { countryCode } = require('./countries');
+const { loadTopics } = require('./topics');
+const { buildContentFilter } = require('./content-filter');
+
+const FREQUENCIES = ['off', 'daily', 'weekly'];
+const TIMEZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu',
+  'UTC',
+];
+const MAX_STORIES = 10;
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'emails');
+
+const EXCERPT_LENGTH = 200;
+
+const newUnsubscribeToken = () => crypto.randomBytes(24).toString('hex');
+
+// Local calendar date, hour and weekday of `date` in `timeZone`
+const localParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23',
+      weekday: 'short',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+};
+
+// Is this subscription due at `now`? Daily digests go out once per local day
+// after send_hour; weekly ones on the chosen weekday after send_hour.
+const isDue = (subscription, now) => {
+  if (!FREQUENCIES.includes(subscription.frequency) || subscription.frequency === 'off') {
+    return false;
+  }
+  const timeZone = subscription.timezone || 'UTC';
+  const current = localParts(now, timeZone);
+  if (current.hour < subscription.send_hour) {
+    return false;
+  }
+  if (subscription.frequency === 'weekly' && current.weekday !== subscription.weekday) {
+    return false;
+  }
+  if (!subscription.last_sent_at) {
+    return true;
+  }
+  return localParts(new Date(subscription.last_sent_at), timeZone).day !== current.day;
+};
+
+const toDigestPost = (post) => {
+  const text = String(post.text || '').replace(/\s+/g, ' ').trim();
+  return {
+    title: post.title,
+    url: post.url,
+    site: post.thread?.site || '',
+    excerpt: text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text,
+  };
+};
+
+// Pick the user's top stories: the best few from each topic, higher-weighted
+// topics first, run through the same content rules as the feed
+const collectStories = async ({ db, newsProvider, contentRules }, subscription) => {
+  const [topics, rules] = await Promise.all([
+    loadTopics(db, subscription.user_id),
+    contentRules.forUser(subscription.user_id),
+  ]);
+  const contentFilter = buildContentFilter(rules);
+  const country = countryCode(subscription.country) || process.env.DEFAULT_NEWS_COUNTRY || 'US';
+  const searches = topics.length > 0
+    ? topics
+      .filter((topic) => !rules.categories.includes(topic.category))
+      .map((topic) => ({ category: topic.category, country: topic.country || country, weight: topic.weight }))
+    : [{ category: null, country, weight: MAX_STORIES }];
+
+  const sections = [];
+  const seen = new Set();
+  for (const search of searches) {
+    try {
+      const result = await newsProvider.search({
+        category: search.category || undefined,
+        country: search.country,
+        sentiment: 'positive',
+      });
+      const posts = contentFilter(result.posts)
+        .filter((post) => !seen.has(post.url))
+        .slice(0, Math.max(1, search.weight))
+        .map(toDigestPost);
+      posts.forEach((post) => seen.add(post.url));
+      if (posts.length > 0) {
+        sections.push({ category: search.category || 'Top stories', posts });
+      }
+    } catch (err) {
+      console.error(`Digest: error fetching ${search.category || 'general'} news:`, err.message);
+    }
+  }
+
+  // Trim to MAX_STORIES overall, keeping section order
+  let remaining = MAX_STORIES;
+  return sections
+    .map((section) => {
+      const posts = section.posts.slice(0, remaining);
+      remaining -= posts.length;
+      return { ...section, posts };
+    })
+    .filter((section) => section.posts.length > 0);
+};
+
+const renderDigest = async (subscription, sections, baseUrl) => {
+  const locals = {
+    username: subscription.username,
+    frequency: subscription.frequency,
+    sections,
+    baseUrl,
+    unsubscribeUrl: `${baseUrl}/digest/unsubscribe?token=${subscription.unsubscribe_token}`,
+  };
+  const [html, text] = await Promise.all([
+    ejs.renderFile(path.join(TEMPLATE_DIR, 'digest.ejs'), locals),
+    ejs.renderFile(path.join(TEMPLATE_DIR, 'digest-text.ejs'), locals),
+  ]);
+  return {
+    subject: subscription.frequency === 'weekly' ? 'Your weekly good news' : 'Your daily good news',
+    html,
+    text,
+  };
+};
+
+// Digest job. runDue() sends every digest that is due; start() runs it on an
+// interval. Each subscription is claimed by bumping last_sent_at before
+// sending, so overlapping runs (or instances) don't send twice.
+const createDigestJob = ({
+  db,
+  newsProvider,
+  contentRules,
+  mailer,
+  baseUrl = process.env.APP_BASE_URL || 'http://localhost:3000',
+}) => {
+  const runDue = async (now = new Date()) => {
+    const subscriptions = await db('digest_subscriptions')
+      .join('users', 'digest_subscriptions.user_id', 'users.user_id')
+      .leftJoin('person', 'digest_subscriptions.user_id', 'person.user_id')
+      .whereNot('digest_subscriptions.frequency', 'off')
+      .whereNotNull('users.email')
+      .whereNotNull('users.email_verified_at')
+      .whereNull('users.deleted_at')
+      .select(
+        'digest_subscriptions.*',
+        'users.username',
+        'users.email',
+        'person.country'
+      );
+
+    let sent = 0;
+    for (const subscription of subscriptions.filter((row) => isDue(row, now))) {
+      const claimed = await db('digest_subscriptions')
+        .where({ user_id: subscription.user_id })
+        .where((qb) => {
+          if (subscription.last_sent_at) {
+            qb.where('last_sent_at', subscription.last_sent_at);
+          } else {
+            qb.whereNull('last_sent_at');
+          }
+        })
+        .update({ last_sent_at: now });
+      if (claimed === 0) {
+        continue;
+      }
+
+      try {
+        const sections = await collectStories({ db, newsProvider, contentRules }, subscription);
+        if (sections.length === 0) {
+          continue;
+        }
+        const message = await renderDigest(subscription, sections, baseUrl);
+        await mailer.send({ to: subscription.email, ...message });
+        sent += 1;
+      } catch (err) {
+        console.error(`Digest: error sending to user ${subscription.user_id}:`, err.message);
+      }
+    }
+    return sent;
+  };
+
+  let timer = null;
+  const start = (intervalMs = 15 * 60 * 1000) => {
+    const tick = () => {
+      runDue().catch((err) => console.error('Digest job error:', err.message));
+    };
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { runDue, start, stop };
+};
+
+module.exports = {
+  FREQUENCIES,
+  TIMEZONES,
+  newUnsubscribeToken,
+  isDue,
+  createDigestJob,
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+// Syndication output (RSS 2.0, Atom 1.0, JSON Feed 1.1) for lists of posts in
+// the Webz.io shape used across the app. Each renderer takes
+//   { title, description, link, feedUrl, updated, items: [post] }
+// and returns the document as a string.
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+const isFeedFormat = (format) => Object.prototype.hasOwnProperty.call(FORMATS, format);
+
+const newFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Normalise a post into the fields every format needs
+const toItem = (post) => {
+  const text = String(post.text || '').replace(/\s+/g, ' ').trim();
+  return {
+    id: post.url,
+    url: post.url,
+    title: post.title || post.url,
+    summary: text.length > 500 ? `${text.slice(0, 500)}…` : text,
+    published: toDate(post.published),
+    author: post.author || null,
+    image: post.thread?.main_image || null,
+    categories: post.categories || [],
+  };
+};
+
+const latest = (items, fallback) =>
+  items.reduce((max, item) => (item.published && item.published > max ? item.published : max), null) ||
+  fallback ||
+  new Date();
+
+const renderRss = ({ title, description, link, feedUrl, updated, items }) => {
+  const entries = items.map(toItem);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `<title>${escapeXml(title)}</title>`,
+    `<link>${escapeXml(link)}</link>`,
+    `<description>${escapeXml(description)}</description>`,
+    `<atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `<lastBuildDate>${latest(entries, updated).toUTCString()}</lastBuildDate>`,
+  ];
+  entries.forEach((item) => {
+    lines.push(
+      '<item>',
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.url)}</link>`,
+      `<guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+      `<description>${escapeXml(item.summary)}</description>`
+    );
+    if (item.published) {
+      lines.push(`<pubDate>${item.published.toUTCString()}</pubDate>`);
+    }
+    item.categories.forEach((category) => lines.push(`<category>${escapeXml(category)}</category>`));
+    lines.push('</item>');
+  });
+  lines.push('</channel>', '</rss>');
+  return lines.join('\n');
+};
+
+const renderAtom = ({ title, description, link, feedUrl, updated, items }) => {
+  const entries = items.map(toItem);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<title>${escapeXml(title)}</title>`,
+    `<subtitle>${escapeXml(description)}</subtitle>`,
+    `<id>${escapeXml(feedUrl)}</id>`,
+    `<link href="${escapeXml(link)}"/>`,
+    `<link href="${escapeXml(feedUrl)}" rel="self" type="application/atom+xml"/>`,
+    `<updated>${latest(entries, updated).toISOString()}</updated>`,
+    '<author><name>Only Good News</name></author>',
+  ];
+  entries.forEach((item) => {
+    lines.push(
+      '<entry>',
+      `<title>${escapeXml(item.title)}</title>`,
+      `<id>${escapeXml(item.id)}</id>`,
+      `<link href="${escapeXml(item.url)}"/>`,
+      `<updated>${(item.published || latest(entries, updated)).toISOString()}</updated>`
+    );
+    if (item.published) {
+      lines.push(`<published>${item.published.toISOString()}</published>`);
+    }
+    if (item.author) {
+      lines.push(`<author><name>${escapeXml(item.author)}</name></author>`);
+    }
+    if (item.summary) {
+      lines.push(`<summary>${escapeXml(item.summary)}</summary>`);
+    }
+    item.categories.forEach((category) => lines.push(`<category term="${escapeXml(category)}"/>`));
+    lines.push('</entry>');
+  });
+  lines.push('</feed>');
+  return lines.join('\n');
+};
+
+const renderJsonFeed = ({ title, description, link, feedUrl, items }) =>
+  JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    description,
+    home_page_url: link,
+    feed_url: feedUrl,
+    items: items.map(toItem).map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary || undefined,
+      content_text: item.summary || item.title,
+      image: item.image || undefined,
+      date_published: item.published ? item.published.toISOString() : undefined,
+      authors: item.author ? [{ name: item.author }] : undefined,
+      tags: item.categories.length > 0 ? item.categories : undefined,
+    })),
+  });
+
+const renderers = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+const renderFeed = (format, feed) => {
+  const render = renderers[format];
+  if (!render) {
+    throw new Error(`Unknown feed format "${format}"`);
+  }
+  return render(feed);
+};
+
+module.exports = {
+  FORMATS,
+  isFeedFormat,
+  newFeedToken,
+  renderFeed,
+};
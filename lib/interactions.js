@@ -0,0 +1,62 @@
+// Per-user article interactions (opened, saved, dismissed), one row per
+// (user_id, url) in article_interactions with a timestamp per interaction.
+const INTERACTION_COLUMNS = {
+  opened: 'opened_at',
+  saved: 'saved_at',
+  dismissed: 'dismissed_at',
+};
+
+const isInteractionType = (type) => Object.prototype.hasOwnProperty.call(INTERACTION_COLUMNS, type);
+
+// Record (or clear, with active = false) one interaction for a user's article
+const recordInteraction = async (db, userId, url, type, active = true) => {
+  const column = INTERACTION_COLUMNS[type];
+  if (!column) {
+    throw new Error(`Unknown interaction type "${type}"`);
+  }
+
+  const value = active ? new Date() : null;
+  await db('article_interactions')
+    .insert({ user_id: userId, url, [column]: value, updated_at: new Date() })
+    .onConflict(['user_id', 'url'])
+    .merge([column, 'updated_at']);
+};
+
+// Load interactions for a set of urls -> Map(url -> { opened, saved, dismissed })
+const loadInteractions = async (db, userId, urls) => {
+  const interactions = new Map();
+  if (!userId || urls.length === 0) {
+    return interactions;
+  }
+
+  const rows = await db('article_interactions')
+    .where({ user_id: userId })
+    .whereIn('url', [...new Set(urls)])
+    .select('url', 'opened_at', 'saved_at', 'dismissed_at');
+
+  rows.forEach((row) => {
+    interactions.set(row.url, {
+      opened: !!row.opened_at,
+      saved: !!row.saved_at,
+      dismissed: !!row.dismissed_at,
+    });
+  });
+  return interactions;
+};
+
+// Attach `post.interaction` to each post and, when hideRead is set, drop the
+// posts the user has already opened or dismissed.
+const applyInteractions = (posts, interactions, { hideRead = false } = {}) =>
+  posts
+    .map((post) => ({
+      ...post,
+      interaction: interactions.get(post.url) || { opened: false, saved: false, dismissed: false },
+    }))
+    .filter((post) => !hideRead || !(post.interaction.opened || post.interaction.dismissed));
+
+module.exports = {
+  isInteractionType,
+  recordInteraction,
+  loadInteractions,
+  applyInteractions,
+};
@@ -0,0 +1,154 @@
+// Login throttling and the login_events audit trail.
+//
+// Every attempt is recorded in login_events. Before checking a password we
+// look at recent failures:
+//   - per username (wrong passwords and wrong two-factor codes): after
+//     FREE_ATTEMPTS consecutive failures each further try has to wait 2, 4,
+//     8 ... seconds (capped), and after LOCKOUT_ATTEMPTS the account is
+//     locked for LOCKOUT_MINUTES (users.locked_until)
+//   - per IP: more than IP_MAX_FAILURES failures in WINDOW_MINUTES blocks the
+//     address until the window moves on
+const DEFAULTS = {
+  windowMinutes: 15,
+  freeAttempts: 3,
+  maxDelaySeconds: 60,
+  lockoutAttempts: 10,
+  lockoutMinutes: 15,
+  ipMaxFailures: 30,
+};
+
+// Reasons that count as a failed guess (blocked attempts don't add to the count)
+const FAILURE_REASONS = ['bad_password', 'unknown_user', 'bad_totp'];
+
+const createLoginThrottle = (db, options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+  const now = options.now || (() => new Date());
+  const windowStart = () => new Date(now().getTime() - settings.windowMinutes * 60 * 1000);
+
+  // Failures for this username since its last successful login (within the window)
+  const usernameFailures = async (username) => {
+    const lastSuccess = await db('login_events')
+      .where({ username, success: true })
+      .max('created_at as created_at')
+      .first();
+    const since = lastSuccess?.created_at && new Date(lastSuccess.created_at) > windowStart()
+      ? new Date(lastSuccess.created_at)
+      : windowStart();
+    const row = await db('login_events')
+      .where({ username, success: false })
+      .whereIn('reason', FAILURE_REASONS)
+      .where('created_at', '>', since)
+      .count('event_id as count')
+      .max('created_at as last_failure')
+      .first();
+    return { count: Number(row?.count || 0), lastFailure: row?.last_failure ? new Date(row.last_failure) : null };
+  };
+
+  const ipFailures = async (ip) => {
+    const row = await db('login_events')
+      .where({ ip, success: false })
+      .whereIn('reason', FAILURE_REASONS)
+      .where('created_at', '>', windowStart())
+      .count('event_id as count')
+      .min('created_at as oldest')
+      .first();
+    return { count: Number(row?.count || 0), oldest: row?.oldest ? new Date(row.oldest) : null };
+  };
+
+  // Can this attempt go ahead? Returns { allowed, reason, retryAfterSeconds }
+  // where reason is 'locked' or 'throttled' when it can't.
+  const check = async ({ username, ip }) => {
+    const current = now();
+    const [user, byUsername, byIp] = await Promise.all([
+      db('users').select('locked_until').where({ username }).first(),
+      usernameFailures(username),
+      ipFailures(ip),
+    ]);
+
+    if (user?.locked_until && new Date(user.locked_until) > current) {
+      return {
+        allowed: false,
+        reason: 'locked',
+        retryAfterSeconds: Math.ceil((new Date(user.locked_until) - current) / 1000),
+      };
+    }
+
+    if (byIp.count >= settings.ipMaxFailures) {
+      const reopensAt = byIp.oldest.getTime() + settings.windowMinutes * 60 * 1000;
+      return {
+        allowed: false,
+        reason: 'throttled',
+        retryAfterSeconds: Math.max(1, Math.ceil((reopensAt - current.getTime()) / 1000)),
+      };
+    }
+
+    if (byUsername.count >= settings.freeAttempts && byUsername.lastFailure) {
+      const delaySeconds = Math.min(2 ** (byUsername.count - settings.freeAttempts + 1), settings.maxDelaySeconds);
+      const waitMs = byUsername.lastFailure.getTime() + delaySeconds * 1000 - current.getTime();
+      if (waitMs > 0) {
+        return { allowed: false, reason: 'throttled', retryAfterSeconds: Math.ceil(waitMs / 1000) };
+      }
+    }
+
+    return { allowed: true, reason: null, retryAfterSeconds: 0 };
+  };
+
+  // Record an attempt. reason: ok | bad_password | unknown_user | bad_totp | locked | throttled.
+  // Returns { locked: true } when this failure locked the account.
+  const record = async ({ userId = null, username, ip, userAgent, success, reason }) => {
+    await db('login_events').insert({
+      user_id: userId,
+      username: String(username || '').slice(0, 255),
+      ip: ip || null,
+      user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+      success,
+      reason,
+      created_at: now(),
+    });
+
+    if (success && userId) {
+      await db('users').where({ user_id: userId }).update({ locked_until: null });
+      return { locked: false };
+    }
+    if (userId && (reason === 'bad_password' || reason === 'bad_totp')) {
+      const { count } = await usernameFailures(username);
+      if (count >= settings.lockoutAttempts) {
+        await db('users')
+          .where({ user_id: userId })
+          .update({ locked_until: new Date(now().getTime() + settings.lockoutMinutes * 60 * 1000) });
+        return { locked: true };
+      }
+    }
+    return { locked: false };
+  };
+
+  const unlock = (userId) => db('users').where({ user_id: userId }).update({ locked_until: null });
+
+  return { settings, check, record, unlock };
+};
+
+// Most recent login events, newest first. Filters: userId, username, ip, success.
+const recentLoginEvents = (db, { userId, username, ip, success, limit = 50 } = {}) => {
+  const query = db('login_events')
+    .select('event_id', 'user_id', 'username', 'ip', 'user_agent', 'success', 'reason', 'created_at')
+    .orderBy('created_at', 'desc')
+    .limit(limit);
+  if (userId) {
+    query.where({ user_id: userId });
+  }
+  if (username) {
+    query.whereILike('username', `%${username}%`);
+  }
+  if (ip) {
+    query.where({ ip });
+  }
+  if (success !== undefined) {
+    query.where({ success });
+  }
+  return query;
+};
+
+module.exports = {
+  createLoginThrottle,
+  recentLoginEvents,
+};
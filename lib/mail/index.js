@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', '..', 'tmp', 'mail');
+
+// Transports share one interface: send({ to, subject, text, html }) -> Promise.
+//   smtp    - a real SMTP server, or a local stand-in such as MailHog (SMTP_HOST/SMTP_PORT)
+//   file    - writes each message as a .eml file to MAIL_FILE_DIR, for development and tests
+//   console - logs the message, for quick local runs
+const transports = {
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    }),
+  file: ({ dir = process.env.MAIL_FILE_DIR || DEFAULT_MAIL_DIR } = {}) => {
+    const stream = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      async sendMail(message) {
+        const info = await stream.sendMail(message);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        return { ...info, file };
+      },
+    };
+  },
+  console: () => {
+    const json = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      async sendMail(message) {
+        const info = await json.sendMail(message);
+        console.log(`Mail to ${message.to}: ${message.subject}`);
+        return info;
+      },
+    };
+  },
+};
+
+// Pick a transport by name, defaulting to the MAIL_TRANSPORT env var and then file
+const createMailer = (name = process.env.MAIL_TRANSPORT || 'file', options = {}) => {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${name}". Expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+  const transport = factory(options);
+  const from = options.from || process.env.MAIL_FROM || 'Only Good News <no-reply@localhost>';
+
+  const send = ({ to, subject, text, html }) => transport.sendMail({ from, to, subject, text, html });
+
+  return { name, send };
+};
+
+module.exports = { createMailer };
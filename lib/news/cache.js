@@ -0,0 +1,155 @@
+const DEFAULT_TTL_SECONDS = 10 * 60;
+const DEFAULT_STALE_SECONDS = 60 * 60;
+const DEFAULT_MAX_MEMORY_ENTRIES = 500;
+
+// Normalize the search options into a stable cache key so that
+// `{ category: 'Health ', country: 'us' }` and `{ country: 'US', category: 'health' }`
+// share one entry.
+const cacheKey = ({ query, category, country, location, from, to, sentiment, page } = {}) => {
+  const normalize = (value) => (value ? String(value).trim().toLowerCase() : '');
+  const timestamp = (date) => (date ? date.toISOString() : '');
+  return [
+    `query=${normalize(query).replace(/\s+/g, ' ')}`,
+    `category=${normalize(category)}`,
+    `country=${normalize(country)}`,
+    `location=${normalize(location)}`,
+    `from=${timestamp(from)}`,
+    `to=${timestamp(to)}`,
+    `sentiment=${normalize(sentiment)}`,
+    `page=${page ? String(page) : ''}`,
+  ].join('|');
+};
+
+// In-memory backend. Entries are { value, storedAt } and the oldest entry is
+// evicted once maxEntries is reached.
+const createMemoryStore = ({ maxEntries = DEFAULT_MAX_MEMORY_ENTRIES } = {}) => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+};
+
+// Postgres backend, shared by every app instance. Uses the news_cache table
+// (see migrations/) through the app's knex connection.
+const createPostgresStore = (db, { table = 'news_cache' } = {}) => ({
+  async get(key) {
+    const row = await db(table).select('payload', 'stored_at').where({ cache_key: key }).first();
+    if (!row) {
+      return null;
+    }
+    const value = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+    return { value, storedAt: new Date(row.stored_at).getTime() };
+  },
+  async set(key, entry) {
+    await db(table)
+      .insert({
+        cache_key: key,
+        payload: JSON.stringify(entry.value),
+        stored_at: new Date(entry.storedAt),
+      })
+      .onConflict('cache_key')
+      .merge();
+  },
+  async clear() {
+    await db(table).del();
+  },
+});
+
+// Wrap a news provider with a read-through cache.
+//   - fresh (age < ttl): served from cache
+//   - stale (ttl <= age < ttl + staleTtl): served from cache, refreshed in the background
+//   - expired or missing: fetched upstream before responding
+// Concurrent requests for the same key share a single upstream call.
+const createCachedProvider = (
+  provider,
+  {
+    store = createMemoryStore(),
+    ttlSeconds = DEFAULT_TTL_SECONDS,
+    staleSeconds = DEFAULT_STALE_SECONDS,
+    now = () => Date.now(),
+  } = {}
+) => {
+  const inFlight = new Map();
+
+  const refresh = (key, options) => {
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+    const request = (async () => {
+      try {
+        const value = await provider.search(options);
+        try {
+          await store.set(key, { value, storedAt: now() });
+        } catch (err) {
+          console.error('News cache write error:', err.message);
+        }
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+    inFlight.set(key, request);
+    return request;
+  };
+
+  const search = async (options = {}) => {
+    const key = cacheKey(options);
+
+    let entry = null;
+    try {
+      entry = await store.get(key);
+    } catch (err) {
+      // A broken cache backend should never take the feed down
+      console.error('News cache read error:', err.message);
+    }
+
+    if (entry) {
+      const age = now() - entry.storedAt;
+      if (age < ttlSeconds * 1000) {
+        return entry.value;
+      }
+      if (age < (ttlSeconds + staleSeconds) * 1000) {
+        refresh(key, options).catch((err) => {
+          console.error('News cache background refresh error:', err.message);
+        });
+        return entry.value;
+      }
+    }
+
+    return refresh(key, options);
+  };
+
+  return { name: provider.name, capabilities: provider.capabilities || {}, search, store };
+};
+
+// Build the cache store named by NEWS_CACHE_BACKEND (memory | postgres)
+const createCacheStore = (db, backend = process.env.NEWS_CACHE_BACKEND || 'memory') => {
+  if (backend === 'postgres') {
+    return createPostgresStore(db);
+  }
+  if (backend === 'memory') {
+    return createMemoryStore();
+  }
+  throw new Error(`Unknown news cache backend "${backend}". Expected memory or postgres`);
+};
+
+module.exports = {
+  cacheKey,
+  createMemoryStore,
+  createPostgresStore,
+  createCacheStore,
+  createCachedProvider,
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { COUNTRIES } = require('../countries');
+
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, 'fixtures', 'posts.json');
+const DEFAULT_PAGE_SIZE = 10;
+
+// Match the country filter loosely: Webz.io uses ISO codes ("US") in queries
+// but full names ("United States") in thread.country. Every country on the
+// signup form matches its code and form name, plus the names below.
+const EXTRA_COUNTRY_NAMES = {
+  US: ['United States', 'United States of America'],
+  GB: ['UK', 'Great Britain'],
+  KR: ['Korea, Republic of'],
+  AE: ['UAE'],
+};
+const COUNTRY_ALIASES = Object.entries(COUNTRIES).reduce((aliases, [name, code]) => {
+  aliases[code] = [code, name, ...(EXTRA_COUNTRY_NAMES[code] || [])];
+  return aliases;
+}, {});
+
+const matchesCountry = (post, country) => {
+  const postCountry = (post.thread && post.thread.country) || '';
+  const aliases = COUNTRY_ALIASES[country.toUpperCase()] || [country];
+  return aliases.some((alias) => alias.toLowerCase() === postCountry.toLowerCase());
+};
+
+// Location matches the post's `locations` list, falling back to its title/text
+const matchesLocation = (post, location) => {
+  const needle = location.toLowerCase();
+  if ((post.locations || []).some((name) => name.toLowerCase() === needle)) {
+    return true;
+  }
+  return `${post.title || ''} ${post.text || ''}`.toLowerCase().includes(needle);
+};
+
+// Every word of the free-text query must appear in the title, text or locations
+const matchesQuery = (post, query) => {
+  const haystack = `${post.title || ''} ${post.text || ''} ${(post.locations || []).join(' ')}`.toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => haystack.includes(word));
+};
+
+// File-backed adapter for offline development and tests. Reads a JSON file
+// holding either an array of posts or a Webz.io-style `{ posts: [...] }` body.
+// `page` is the zero-based page number as a string, returned as `next`.
+const createFixtureProvider = ({
+  file = process.env.NEWS_FIXTURE_FILE || DEFAULT_FIXTURE_FILE,
+  pageSize = DEFAULT_PAGE_SIZE,
+} = {}) => {
+  let cachedPosts = null;
+
+  const loadPosts = () => {
+    if (!cachedPosts) {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      cachedPosts = Array.isArray(raw) ? raw : raw.posts || [];
+    }
+    return cachedPosts;
+  };
+
+  const search = async ({ query, category, country, location, from, to, sentiment, page } = {}) => {
+    const pageNumber = page ? Number.parseInt(page, 10) : 0;
+    if (Number.isNaN(pageNumber) || pageNumber < 0) {
+      throw new Error('INVALID_CURSOR');
+    }
+
+    const matches = loadPosts().filter((post) => {
+      if (query && !matchesQuery(post, query)) {
+        return false;
+      }
+      if (from && new Date(post.published) < from) {
+        return false;
+      }
+      if (to && new Date(post.published) > to) {
+        return false;
+      }
+      if (category && !(post.categories || []).includes(category)) {
+        return false;
+      }
+      if (country && !matchesCountry(post, country)) {
+        return false;
+      }
+      if (location && !matchesLocation(post, location)) {
+        return false;
+      }
+      if (sentiment && post.sentiment !== sentiment) {
+        return false;
+      }
+      return true;
+    });
+
+    const start = pageNumber * pageSize;
+    const posts = matches.slice(start, start + pageSize);
+    const remaining = Math.max(matches.length - (start + posts.length), 0);
+
+    return {
+      posts,
+      totalResults: matches.length,
+      moreResultsAvailable: remaining,
+      next: remaining > 0 ? String(pageNumber + 1) : null,
+    };
+  };
+
+  return { name: 'fixture', capabilities: { location: true }, search };
+};
+
+module.exports = createFixtureProvider;
@@ -0,0 +1,48 @@
+const createWebzProvider = require('./webz');
+const createFixtureProvider = require('./fixture');
+const { createCachedProvider, createCacheStore } = require('./cache');
+
+// Every provider exposes the same interface:
+//   search({ query, category, country, location, from, to, sentiment, page })
+//     -> Promise<{ posts, totalResults, moreResultsAvailable, next }>
+//   `query` is free text; `from`/`to` are Dates bounding the publish date.
+//   capabilities: { location } - whether `location` (a city or state name) is honored
+// Posts use the Webz.io post shape (title, url, published, thread.main_image, ...)
+// so the views don't care which provider produced them.
+const providers = {
+  webz: createWebzProvider,
+  fixture: createFixtureProvider,
+};
+
+// Provider cursors (the `next` value) are opaque strings; base64url-encode them
+// so they survive a round trip through a query string untouched.
+const encodeCursor = (next) => (next ? Buffer.from(String(next), 'utf8').toString('base64url') : null);
+
+const decodeCursor = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+  if (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor)) {
+    throw new Error('INVALID_CURSOR');
+  }
+  return Buffer.from(cursor, 'base64url').toString('utf8');
+};
+
+// Pick a provider by name, defaulting to the NEWS_PROVIDER env var and then Webz.io
+const createNewsProvider = (name = process.env.NEWS_PROVIDER || 'webz', options = {}) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown news provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createNewsProvider,
+  createCachedProvider,
+  createCacheStore,
+  encodeCursor,
+  decodeCursor,
+  createWebzProvider,
+  createFixtureProvider,
+};
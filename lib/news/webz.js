@@ -0,0 +1,83 @@
+const axios = require('axios');
+
+const WEBZ_BASE_URL = 'https://api.webz.io';
+const WEBZ_ENDPOINT = '/newsApiLite';
+
+// Free text (and the user's city/state) goes straight into `q`, so strip
+// characters that would let it add filters of its own (`country:`, quoted
+// phrases, grouping)
+const sanitizeText = (text) => String(text).replace(/[:"()[\]{}]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Build the Webz.io `q` parameter from the structured search options
+const buildQuery = ({ query, category, country, location, from, to }) => {
+  const parts = [];
+  if (query && sanitizeText(query)) {
+    parts.push(`(${sanitizeText(query)})`);
+  }
+  if (category) {
+    parts.push(`category:"${category}"`);
+  }
+  if (country) {
+    parts.push(`country:${country}`);
+  }
+  if (location && sanitizeText(location)) {
+    parts.push(`location:"${sanitizeText(location)}"`);
+  }
+  if (from) {
+    parts.push(`published:>${from.getTime()}`);
+  }
+  if (to) {
+    parts.push(`published:<${to.getTime()}`);
+  }
+  return parts.join(' ');
+};
+
+// Webz.io embeds our API token in its `next` path; drop it so cursors can be
+// handed to the browser. search() adds the token back when following one.
+const stripToken = (next) => {
+  const nextUrl = new URL(next, WEBZ_BASE_URL);
+  nextUrl.searchParams.delete('token');
+  return `${nextUrl.pathname}${nextUrl.search}`;
+};
+
+// Webz.io adapter. `page` is the `next` path returned by a previous search
+// (e.g. "/newsApiLite?ts=...&q=...&from=10"), which Webz.io uses as its cursor.
+const createWebzProvider = ({ apiKey = process.env.WEBZ_API_KEY, http = axios } = {}) => {
+  const search = async ({ query, category, country, location, from, to, sentiment, page } = {}) => {
+    let response;
+
+    if (page) {
+      // Only follow cursors that point back at the news endpoint, and always
+      // send our own token rather than whatever was embedded in the cursor.
+      const nextUrl = new URL(page, WEBZ_BASE_URL);
+      if (nextUrl.origin !== WEBZ_BASE_URL || nextUrl.pathname !== WEBZ_ENDPOINT) {
+        throw new Error('INVALID_CURSOR');
+      }
+      const params = Object.fromEntries(nextUrl.searchParams);
+      params.token = apiKey;
+      response = await http.get(`${WEBZ_BASE_URL}${WEBZ_ENDPOINT}`, { params });
+    } else {
+      const params = {
+        token: apiKey,
+        q: buildQuery({ query, category, country, location, from, to }),
+      };
+      if (sentiment) {
+        params.sentiment = sentiment;
+      }
+      response = await http.get(`${WEBZ_BASE_URL}${WEBZ_ENDPOINT}`, { params });
+    }
+
+    const data = response.data || {};
+    return {
+      posts: data.posts || [],
+      totalResults: data.totalResults || 0,
+      moreResultsAvailable: data.moreResultsAvailable || 0,
+      next: data.moreResultsAvailable && data.next ? stripToken(data.next) : null,
+    };
+  };
+
+  return { name: 'webz', capabilities: { location: true }, search };
+};
+
+module.exports = createWebzProvider;
+module.exports.buildQuery = buildQuery;
@@ -0,0 +1,101 @@
+// Admin roles and the permission matrix for the admin pages. A user may hold
+// several roles; their permissions are the union. Roles are stored in
+// user_roles and read from the database on every admin request, so granting
+// or revoking a role takes effect immediately.
+const ROLES = ['viewer', 'moderator', 'superadmin'];
+
+const ROLE_LABELS = {
+  viewer: 'Viewer: read-only access to users, sign-in activity, content filters and the dashboard',
+  moderator: 'Moderator: viewer, plus unlocking accounts, force logout, content filters and the audit log',
+  superadmin: 'Superadmin: everything, including creating, editing and deleting users and granting roles',
+};
+
+const VIEWER_PERMISSIONS = ['users.view', 'login_events.view', 'content_filters.view', 'dashboard.view'];
+const MODERATOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'users.logout',
+  'login_events.unlock',
+  'content_filters.manage',
+  'audit.view',
+];
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  moderator: MODERATOR_PERMISSIONS,
+  superadmin: [...MODERATOR_PERMISSIONS, 'users.create', 'users.edit', 'users.delete', 'users.roles'],
+};
+
+const isRole = (value) => ROLES.includes(value);
+
+// Roles from a form body (`roles` is a string or an array of strings)
+const parseRoles = (input) => {
+  const values = Array.isArray(input) ? input : [input];
+  return ROLES.filter((role) => values.includes(role));
+};
+
+const permissionsFor = (roles) => [...new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || []))];
+
+const loadRoles = async (db, userId) => {
+  const rows = await db('user_roles').where({ user_id: userId }).select('role');
+  return ROLES.filter((role) => rows.some((row) => row.role === role));
+};
+
+// Roles for many users at once -> Map(user_id -> roles)
+const loadRolesForUsers = async (db, userIds) => {
+  const byUser = new Map();
+  if (userIds.length === 0) {
+    return byUser;
+  }
+  const rows = await db('user_roles').whereIn('user_id', userIds).select('user_id', 'role');
+  rows.forEach(({ user_id, role }) => {
+    if (!byUser.has(user_id)) {
+      byUser.set(user_id, []);
+    }
+    byUser.get(user_id).push(role);
+  });
+  byUser.forEach((roles, userId) => byUser.set(userId, ROLES.filter((role) => roles.includes(role))));
+  return byUser;
+};
+
+// Throws LAST_SUPERADMIN when userId is the only superadmin left (deleted
+// accounts don't count), so the site can't end up with nobody able to manage roles.
+const ensureOtherSuperadmin = async (db, userId) => {
+  const others = await db('user_roles')
+    .join('users', 'user_roles.user_id', 'users.user_id')
+    .where({ 'user_roles.role': 'superadmin' })
+    .whereNot({ 'user_roles.user_id': userId })
+    .whereNull('users.deleted_at')
+    .first();
+  if (!others) {
+    throw new Error('LAST_SUPERADMIN');
+  }
+};
+
+// Replace a user's roles. Pass a transaction when used alongside other writes.
+const replaceRoles = async (db, userId, roles, grantedBy = null) => {
+  const current = await loadRoles(db, userId);
+  if (current.includes('superadmin') && !roles.includes('superadmin')) {
+    await ensureOtherSuperadmin(db, userId);
+  }
+  const removed = current.filter((role) => !roles.includes(role));
+  const added = roles.filter((role) => isRole(role) && !current.includes(role));
+  if (removed.length > 0) {
+    await db('user_roles').where({ user_id: userId }).whereIn('role', removed).del();
+  }
+  if (added.length > 0) {
+    await db('user_roles').insert(added.map((role) => ({ user_id: userId, role, granted_by: grantedBy })));
+  }
+  return { added, removed };
+};
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  ROLE_PERMISSIONS,
+  isRole,
+  parseRoles,
+  permissionsFor,
+  loadRoles,
+  loadRolesForUsers,
+  ensureOtherSuperadmin,
+  replaceRoles,
+};
@@ -0,0 +1,126 @@
+const session = require('express-session');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+// express-session store backed by the app's knex connection (sessions table,
+// see migrations/). Besides the standard store methods it can list and revoke
+// the sessions of one user, for "active sessions" and admin force-logout.
+// user_id, ip and user_agent are copied out of the session data (userId and
+// meta, set at login) so they can be queried.
+class KnexSessionStore extends session.Store {
+  constructor(db, { table = 'sessions', cleanupIntervalMs = DEFAULT_CLEANUP_INTERVAL_MS } = {}) {
+    super();
+    this.db = db;
+    this.table = table;
+    this.cleanupTimer = null;
+    if (cleanupIntervalMs > 0) {
+      this.cleanupTimer = setInterval(() => {
+        this.clearExpired().catch((err) => console.error('Session cleanup error:', err.message));
+      }, cleanupIntervalMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  static expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_TTL_MS);
+  }
+
+  static parse(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  get(sid, callback) {
+    this.db(this.table)
+      .select('sess')
+      .where({ sid })
+      .where('expires_at', '>', new Date())
+      .first()
+      .then((row) => callback(null, row ? KnexSessionStore.parse(row.sess) : null))
+      .catch(callback);
+  }
+
+  set(sid, sess, callback) {
+    const row = {
+      sid,
+      sess: JSON.stringify(sess),
+      user_id: sess.userId || null,
+      ip: sess.meta?.ip || null,
+      user_agent: sess.meta?.userAgent ? String(sess.meta.userAgent).slice(0, 500) : null,
+      expires_at: KnexSessionStore.expiresAt(sess),
+      updated_at: new Date(),
+    };
+    this.db(this.table)
+      .insert(row)
+      .onConflict('sid')
+      .merge(['sess', 'user_id', 'ip', 'user_agent', 'expires_at', 'updated_at'])
+      .then(() => callback && callback(null))
+      .catch((err) => callback && callback(err));
+  }
+
+  touch(sid, sess, callback) {
+    this.db(this.table)
+      .where({ sid })
+      .update({ expires_at: KnexSessionStore.expiresAt(sess), updated_at: new Date() })
+      .then(() => callback && callback(null))
+      .catch((err) => callback && callback(err));
+  }
+
+  destroy(sid, callback) {
+    this.db(this.table)
+      .where({ sid })
+      .del()
+      .then(() => callback && callback(null))
+      .catch((err) => callback && callback(err));
+  }
+
+  clear(callback) {
+    this.db(this.table)
+      .del()
+      .then(() => callback && callback(null))
+      .catch((err) => callback && callback(err));
+  }
+
+  length(callback) {
+    this.db(this.table)
+      .where('expires_at', '>', new Date())
+      .count('sid as count')
+      .then(([{ count }]) => callback(null, Number(count)))
+      .catch(callback);
+  }
+
+  // Promise-based helpers used by the account and admin pages
+
+  clearExpired() {
+    return this.db(this.table).where('expires_at', '<=', new Date()).del();
+  }
+
+  listForUser(userId) {
+    return this.db(this.table)
+      .select('sid', 'ip', 'user_agent', 'created_at', 'updated_at', 'expires_at')
+      .where({ user_id: userId })
+      .where('expires_at', '>', new Date())
+      .orderBy('updated_at', 'desc');
+  }
+
+  // Sign a user out everywhere, optionally keeping one session (the current one)
+  destroyForUser(userId, { except = null } = {}) {
+    const query = this.db(this.table).where({ user_id: userId });
+    if (except) {
+      query.whereNot({ sid: except });
+    }
+    return query.del();
+  }
+
+  destroyOne(userId, sid) {
+    return this.db(this.table).where({ user_id: userId, sid }).del();
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+}
+
+module.exports = { KnexSessionStore };
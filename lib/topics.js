@@ -0,0 +1,107 @@
+const { countryCode } = require('./countries');
+
+// News categories users can subscribe to (Webz.io category names)
+const CATEGORIES = [
+  'Arts, Culture and Entertainment',
+  'Crime, Law and Justice',
+  'Disaster and Accident',
+  'Economy, Business and Finance',
+  'Education',
+  'Environment',
+  'Health',
+  'Human Interest',
+  'Labor',
+  'Lifestyle and Leisure',
+  'Politics',
+  'Religion and Belief',
+  'Science and Technology',
+  'Social Issue',
+  'Sport',
+  'War, Conflict and Unrest',
+  'Weather',
+];
+
+const MIN_WEIGHT = 1;
+const MAX_WEIGHT = 5;
+const DEFAULT_WEIGHT = 3;
+
+// Normalize topic rows from a form body. Forms post `topics[i][category]`,
+// `topics[i][weight]` and `topics[i][country]`; qs gives us an array or, past
+// its array limit, an object keyed by index, so accept both. Blank rows are
+// dropped and a repeated category keeps its first row.
+const parseTopics = (input) => {
+  const rows = Array.isArray(input) ? input : Object.values(input || {});
+  const seen = new Set();
+  const topics = [];
+
+  rows.forEach((row) => {
+    if (!row || typeof row !== 'object') {
+      return;
+    }
+    const category = typeof row.category === 'string' ? row.category.trim() : '';
+    if (!CATEGORIES.includes(category) || seen.has(category)) {
+      return;
+    }
+    seen.add(category);
+
+    const weight = Number.parseInt(row.weight, 10);
+    topics.push({
+      category,
+      weight: Number.isNaN(weight) ? DEFAULT_WEIGHT : Math.min(Math.max(weight, MIN_WEIGHT), MAX_WEIGHT),
+      country: countryCode(row.country),
+    });
+  });
+
+  return topics;
+};
+
+// A user's topics, highest weight first
+const loadTopics = (db, userId) =>
+  db('user_topics')
+    .where({ user_id: userId })
+    .select('category', 'weight', 'country')
+    .orderBy([
+      { column: 'weight', order: 'desc' },
+      { column: 'category', order: 'asc' },
+    ]);
+
+// Topics for many users at once -> Map(user_id -> topics)
+const loadTopicsForUsers = async (db, userIds) => {
+  const byUser = new Map();
+  if (userIds.length === 0) {
+    return byUser;
+  }
+  const rows = await db('user_topics')
+    .whereIn('user_id', userIds)
+    .select('user_id', 'category', 'weight', 'country')
+    .orderBy([
+      { column: 'weight', order: 'desc' },
+      { column: 'category', order: 'asc' },
+    ]);
+  rows.forEach(({ user_id, ...topic }) => {
+    if (!byUser.has(user_id)) {
+      byUser.set(user_id, []);
+    }
+    byUser.get(user_id).push(topic);
+  });
+  return byUser;
+};
+
+// Replace a user's topics. Pass a transaction when used alongside other writes.
+const replaceTopics = async (db, userId, topics) => {
+  await db('user_topics').where({ user_id: userId }).del();
+  if (topics.length > 0) {
+    await db('user_topics').insert(topics.map((topic) => ({ user_id: userId, ...topic })));
+  }
+};
+
+module.exports = {
+  CATEGORIES,
+  MIN_WEIGHT,
+  MAX_WEIGHT,
+  DEFAULT_WEIGHT,
+  parseTopics,
+  loadTopics,
+  loadTopicsForUsers,
+  replaceTopics,
+};
@@ -0,0 +1,158 @@
+// Usage events behind the admin dashboard (usage_events table). Recording is
+// best effort: a failed insert is logged and never fails the request.
+const EVENT_TYPES = ['signup', 'active', 'article_saved', 'news_api_call'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recordUsage = async (db, eventType, { userId = null, subject = null, success = null, durationMs = null } = {}) => {
+  if (!EVENT_TYPES.includes(eventType)) {
+    throw new Error('UNKNOWN_USAGE_EVENT');
+  }
+  try {
+    await db('usage_events').insert({
+      event_type: eventType,
+      user_id: userId,
+      subject: subject === null ? null : String(subject).slice(0, 2000),
+      success,
+      duration_ms: durationMs,
+    });
+  } catch (err) {
+    console.error('Usage event error:', err.message);
+  }
+};
+
+// Wrap a news provider so each upstream search is recorded as a news_api_call.
+// Wrap the raw provider (inside the cache) so cache hits aren't counted.
+const trackProviderCalls = (db, provider, { now = () => Date.now() } = {}) => ({
+  ...provider,
+  async search(options) {
+    const startedAt = now();
+    const record = (success) =>
+      recordUsage(db, 'news_api_call', { subject: provider.name, success, durationMs: now() - startedAt });
+    try {
+      const result = await provider.search(options);
+      record(true);
+      return result;
+    } catch (err) {
+      record(false);
+      throw err;
+    }
+  },
+});
+
+// Express middleware: one `active` event per signed-in user per day. The day
+// already counted is remembered in the session to avoid a write per request.
+const trackActiveUsers = (db, { today = () => new Date().toISOString().slice(0, 10) } = {}) => (req, res, next) => {
+  const userId = req.session && req.session.userId;
+  if (userId && req.session.activeOn !== today()) {
+    req.session.activeOn = today();
+    recordUsage(db, 'active', { userId });
+  }
+  next();
+};
+
+// Local calendar day as YYYY-MM-DD
+const dayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// pg returns DATE columns as a Date at local midnight (some drivers use strings)
+const rowDay = (value) => (value instanceof Date ? dayKey(value) : String(value).slice(0, 10));
+
+// Events per day since `since` -> Map(day -> { count, failures })
+const countByDay = async (db, eventType, since) => {
+  const rows = await db('usage_events')
+    .select(db.raw('cast(created_at as date) as day'))
+    .count('* as count')
+    .select(db.raw('sum(case when success = false then 1 else 0 end) as failures'))
+    .where('event_type', eventType)
+    .where('created_at', '>=', since)
+    .groupByRaw('cast(created_at as date)');
+  return new Map(rows.map((row) => [rowDay(row.day), { count: Number(row.count), failures: Number(row.failures) || 0 }]));
+};
+
+// One entry per day from `since` to today, including days with no events
+const fillDays = (byDay, since, days) =>
+  Array.from({ length: days }, (_, index) => {
+    const date = new Date(since.getFullYear(), since.getMonth(), since.getDate() + index);
+    const day = dayKey(date);
+    const entry = byDay.get(day) || { count: 0, failures: 0 };
+    return { day, label: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }), ...entry };
+  });
+
+const countActiveUsers = async (db, since) => {
+  const [{ count }] = await db('usage_events')
+    .where('event_type', 'active')
+    .where('created_at', '>=', since)
+    .countDistinct('user_id as count');
+  return Number(count);
+};
+
+// Everything the /admin/dashboard page shows. Time series cover the last
+// `days` days (today included); rankings are the top `limit` entries.
+const loadDashboard = async (db, { days = 30, limit = 10, now = new Date() } = {}) => {
+  const since = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1));
+  const [signups, saves, apiCalls, activeToday, activeWeek, activeMonth, categories, articles, domains, userCount] =
+    await Promise.all([
+      countByDay(db, 'signup', since),
+      countByDay(db, 'article_saved', since),
+      countByDay(db, 'news_api_call', since),
+      countActiveUsers(db, new Date(now.getTime() - DAY_MS)),
+      countActiveUsers(db, new Date(now.getTime() - 7 * DAY_MS)),
+      countActiveUsers(db, new Date(now.getTime() - 30 * DAY_MS)),
+      db('user_topics')
+        .select('category')
+        .count('* as count')
+        .groupBy('category')
+        .orderBy([{ column: 'count', order: 'desc' }, { column: 'category' }])
+        .limit(limit),
+      db('news_posts')
+        .select('url')
+        .max('title as title')
+        .count('* as count')
+        .groupBy('url')
+        .orderBy([{ column: 'count', order: 'desc' }, { column: 'url' }])
+        .limit(limit),
+      db('news_posts')
+        .whereNotNull('site')
+        .select('site')
+        .count('* as count')
+        .groupBy('site')
+        .orderBy([{ column: 'count', order: 'desc' }, { column: 'site' }])
+        .limit(limit),
+      db('users').whereNull('deleted_at').count('user_id as count').first(),
+    ]);
+
+  const apiSeries = fillDays(apiCalls, since, days);
+  const apiTotal = apiSeries.reduce((sum, entry) => sum + entry.count, 0);
+  const apiFailures = apiSeries.reduce((sum, entry) => sum + entry.failures, 0);
+  const signupSeries = fillDays(signups, since, days);
+  const saveSeries = fillDays(saves, since, days);
+
+  return {
+    days,
+    totals: {
+      users: Number(userCount.count),
+      signups: signupSeries.reduce((sum, entry) => sum + entry.count, 0),
+      saves: saveSeries.reduce((sum, entry) => sum + entry.count, 0),
+    },
+    activeUsers: { day: activeToday, week: activeWeek, month: activeMonth },
+    signups: signupSeries,
+    saves: saveSeries,
+    newsApi: {
+      calls: apiTotal,
+      failures: apiFailures,
+      errorRate: apiTotal > 0 ? apiFailures / apiTotal : 0,
+      series: apiSeries,
+    },
+    topCategories: categories.map((row) => ({ label: row.category, count: Number(row.count) })),
+    topArticles: articles.map((row) => ({ label: row.title || row.url, url: row.url, count: Number(row.count) })),
+    topDomains: domains.map((row) => ({ label: row.site, count: Number(row.count) })),
+  };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  recordUsage,
+  trackProviderCalls,
+  trackActiveUsers,
+  loadDashboard,
+};
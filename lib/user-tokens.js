@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Single-use, expiring tokens sent by email (verify address, reset password).
+// Only a SHA-256 hash is stored, so a leaked table can't be used to take over
+// accounts.
+const TOKEN_TTL_SECONDS = {
+  verify_email: 48 * 60 * 60,
+  reset_password: 60 * 60,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token for `purpose`, invalidating any earlier unused ones.
+// `data` is stored alongside (e.g. the address being verified).
+const issueUserToken = async (db, userId, purpose, data = null) => {
+  const ttlSeconds = TOKEN_TTL_SECONDS[purpose];
+  if (!ttlSeconds) {
+    throw new Error(`Unknown token purpose "${purpose}"`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await db('user_tokens')
+    .where({ user_id: userId, purpose })
+    .whereNull('used_at')
+    .update({ used_at: db.fn.now() });
+  await db('user_tokens').insert({
+    user_id: userId,
+    purpose,
+    token_hash: hashToken(token),
+    data,
+    expires_at: new Date(Date.now() + ttlSeconds * 1000),
+  });
+  return token;
+};
+
+// Look up an unused, unexpired token without using it up; returns the row or null
+const findUserToken = async (db, token, purpose) => {
+  if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+    return null;
+  }
+  const row = await db('user_tokens')
+    .where({ token_hash: hashToken(token), purpose })
+    .whereNull('used_at')
+    .where('expires_at', '>', new Date())
+    .first();
+  return row || null;
+};
+
+// Mark a token used and return its row. Throws INVALID_TOKEN if it is unknown,
+// expired or already used (including by a concurrent request).
+const consumeUserToken = async (db, token, purpose) => {
+  const row = await findUserToken(db, token, purpose);
+  if (!row) {
+    throw new Error('INVALID_TOKEN');
+  }
+  const updated = await db('user_tokens')
+    .where({ token_id: row.token_id })
+    .whereNull('used_at')
+    .update({ used_at: db.fn.now() });
+  if (updated === 0) {
+    throw new Error('INVALID_TOKEN');
+  }
+  return row;
+};
+
+module.exports = {
+  TOKEN_TTL_SECONDS,
+  issueUserToken,
+  findUserToken,
+  consumeUserToken,
+};
@@ -0,0 +1,47 @@
+// The original schema the app was built on: logins (users), profiles (person)
+// and saved articles (news_posts). Every later migration builds on these.
+// Databases set up by hand before migrations existed already have the tables,
+// so each one is only created when it's missing.
+exports.up = async (knex) => {
+  if (!(await knex.schema.hasTable('users'))) {
+    await knex.schema.createTable('users', (table) => {
+      table.increments('user_id').primary();
+      table.string('username').notNullable().unique();
+      table.string('password').notNullable();
+      table.boolean('is_admin').notNullable().defaultTo(false);
+    });
+  }
+
+  if (!(await knex.schema.hasTable('person'))) {
+    await knex.schema.createTable('person', (table) => {
+      table.increments('person_id').primary();
+      // One profile per login; admins can also keep records without a login
+      table.integer('user_id').unique().references('user_id').inTable('users').onDelete('CASCADE');
+      table.string('first_name');
+      table.string('last_name');
+      table.string('city');
+      table.string('state');
+      table.string('country');
+      table.string('preference_one');
+      table.string('preference_two');
+      table.string('preference_three');
+    });
+  }
+
+  if (!(await knex.schema.hasTable('news_posts'))) {
+    await knex.schema.createTable('news_posts', (table) => {
+      table.increments('news_post_id').primary();
+      table.integer('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+      table.text('title');
+      table.text('url').notNullable();
+      // Saved articles are identified by (user_id, url)
+      table.unique(['user_id', 'url']);
+    });
+  }
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('news_posts');
+  await knex.schema.dropTableIfExists('person');
+  await knex.schema.dropTableIfExists('users');
+};
@@ -0,0 +1,9 @@
+// Shared cache of upstream news responses (NEWS_CACHE_BACKEND=postgres)
+exports.up = (knex) =>
+  knex.schema.createTable('news_cache', (table) => {
+    table.text('cache_key').primary();
+    table.jsonb('payload').notNullable();
+    table.timestamp('stored_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+
+exports.down = (knex) => knex.schema.dropTableIfExists('news_cache');
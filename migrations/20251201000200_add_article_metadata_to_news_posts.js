@@ -0,0 +1,34 @@
+// Store the full post metadata when an article is saved, so /saved can render
+// the same cards as the feed.
+exports.up = async (knex) => {
+  await knex.schema.alterTable('news_posts', (table) => {
+    table.text('image_url');
+    table.timestamp('published_at', { useTz: true });
+    table.string('site');
+    table.string('author');
+    table.text('excerpt');
+    table.string('category');
+    table.timestamp('saved_at', { useTz: true }).defaultTo(knex.fn.now());
+  });
+
+  // Backfill: rows saved before this migration only have title and url. The
+  // source site can be recovered from the url; the remaining fields stay null
+  // and the saved page renders without them. (The \\? keeps knex from reading
+  // the ? in the pattern as a query binding.)
+  await knex.raw(`
+    UPDATE news_posts
+    SET site = lower(regexp_replace(substring(url from '^[a-zA-Z]+://([^/:\\?#]+)'), '^www\\.', ''))
+    WHERE site IS NULL
+  `);
+};
+
+exports.down = (knex) =>
+  knex.schema.alterTable('news_posts', (table) => {
+    table.dropColumn('image_url');
+    table.dropColumn('published_at');
+    table.dropColumn('site');
+    table.dropColumn('author');
+    table.dropColumn('excerpt');
+    table.dropColumn('category');
+    table.dropColumn('saved_at');
+  });
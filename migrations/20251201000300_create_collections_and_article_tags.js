@@ -0,0 +1,30 @@
+// Reading-list folders (collections) and free-form tags for saved articles.
+// Saved articles are identified by (user_id, url), same as /save-article.
+exports.up = async (knex) => {
+  await knex.schema.createTable('collections', (table) => {
+    table.increments('collection_id').primary();
+    table.integer('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('name', 100).notNullable();
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.unique(['user_id', 'name']);
+  });
+
+  await knex.schema.alterTable('news_posts', (table) => {
+    table.integer('collection_id').references('collection_id').inTable('collections').onDelete('SET NULL');
+  });
+
+  await knex.schema.createTable('article_tags', (table) => {
+    table.integer('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+    table.text('url').notNullable();
+    table.string('tag', 50).notNullable();
+    table.primary(['user_id', 'url', 'tag']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('article_tags');
+  await knex.schema.alterTable('news_posts', (table) => {
+    table.dropColumn('collection_id');
+  });
+  await knex.schema.dropTableIfExists('collections');
+};
@@ -0,0 +1,32 @@
+// Which articles a user has opened, saved or dismissed, plus the per-user
+// "hide already-read" feed setting.
+exports.up = async (knex) => {
+  await knex.schema.createTable('article_interactions', (table) => {
+    table.integer('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+    table.text('url').notNullable();
+    table.timestamp('opened_at', { useTz: true });
+    table.timestamp('saved_at', { useTz: true });
+    table.timestamp('dismissed_at', { useTz: true });
+    table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.primary(['user_id', 'url']);
+  });
+
+  await knex.schema.alterTable('person', (table) => {
+    table.boolean('hide_read').notNullable().defaultTo(false);
+  });
+
+  // Articles saved before this migration count as saved interactions
+  await knex.raw(`
+    INSERT INTO article_interactions (user_id, url, saved_at)
+    SELECT user_id, url, COALESCE(saved_at, now())
+    FROM news_posts
+    ON CONFLICT (user_id, url) DO NOTHING
+  `);
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('person', (table) => {
+    table.dropColumn('hide_read');
+  });
+  await knex.schema.dropTableIfExists('article_interactions');
+};
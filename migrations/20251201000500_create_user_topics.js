@@ -0,0 +1,61 @@
+// Replace person.preference_one/two/three with any number of weighted topic
+// subscriptions. Existing preferences become topics weighted 5, 4 and 3.
+exports.up = async (knex) => {
+  await knex.schema.createTable('user_topics', (table) => {
+    table.increments('topic_id').primary();
+    table.integer('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('category').notNullable();
+    table.smallint('weight').notNullable().defaultTo(3);
+    table.string('country', 2);
+    table.unique(['user_id', 'category']);
+  });
+
+  await knex.raw(`
+    INSERT INTO user_topics (user_id, category, weight)
+    SELECT user_id, category, weight
+    FROM (
+      SELECT user_id, preference_one AS category, 5 AS weight FROM person
+      UNION ALL
+      SELECT user_id, preference_two, 4 FROM person
+      UNION ALL
+      SELECT user_id, preference_three, 3 FROM person
+    ) prefs
+    WHERE user_id IS NOT NULL AND category IS NOT NULL AND trim(category) <> ''
+    ON CONFLICT (user_id, category) DO NOTHING
+  `);
+
+  await knex.schema.alterTable('person', (table) => {
+    table.dropColumn('preference_one');
+    table.dropColumn('preference_two');
+    table.dropColumn('preference_three');
+  });
+};
+
+// Rolling back keeps each user's three highest-weighted topics
+exports.down = async (knex) => {
+  await knex.schema.alterTable('person', (table) => {
+    table.string('preference_one');
+    table.string('preference_two');
+    table.string('preference_three');
+  });
+
+  await knex.raw(`
+    UPDATE person
+    SET preference_one = ranked.p1, preference_two = ranked.p2, preference_three = ranked.p3
+    FROM (
+      SELECT user_id,
+        max(category) FILTER (WHERE rn = 1) AS p1,
+        max(category) FILTER (WHERE rn = 2) AS p2,
+        max(category) FILTER (WHERE rn = 3) AS p3
+      FROM (
+        SELECT user_id, category,
+          row_number() OVER (PARTITION BY user_id ORDER BY weight DESC, topic_id ASC) AS rn
+        FROM user_topics
+      ) t
+      GROUP BY user_id
+    ) ranked
+    WHERE person.user_id = ranked.user_id
+  `);
+
+  await knex.schema.dropTableIfExists('user_topics');
+};
@@ -0,0 +1,11 @@
+// Per-user feed scope: "national" (country-wide) or "local" (adds a section
+// filtered by the user's city/state)
+exports.up = (knex) =>
+  knex.schema.alterTable('person', (table) => {
+    table.string('news_scope', 10).notNullable().defaultTo('national');
+  });
+
+exports.down = (knex) =>
+  knex.schema.alterTable('person', (table) => {
+    table.dropColumn('news_scope');
+  });
@@ -0,0 +1,36 @@
+// Keyword/domain/category blocklists (global when user_id is NULL), the global
+// minimum sentiment setting and each user's own sentiment threshold.
+exports.up = async (knex) => {
+  await knex.schema.createTable('content_rules', (table) => {
+    table.increments('rule_id').primary();
+    table.integer('user_id').references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('rule_type', 20).notNullable();
+    table.string('value').notNullable();
+    table.integer('created_by').references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['user_id']);
+  });
+
+  await knex.schema.createTable('app_settings', (table) => {
+    table.string('key').primary();
+    table.text('value');
+    table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.alterTable('person', (table) => {
+    table.float('min_sentiment');
+  });
+
+  // Categories that don't fit a "feel good" feed are blocked by default
+  await knex('content_rules').insert([
+    { user_id: null, rule_type: 'category', value: 'War, Conflict and Unrest' },
+  ]);
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('person', (table) => {
+    table.dropColumn('min_sentiment');
+  });
+  await knex.schema.dropTableIfExists('app_settings');
+  await knex.schema.dropTableIfExists('content_rules');
+};
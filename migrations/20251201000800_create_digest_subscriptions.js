@@ -0,0 +1,24 @@
+// Opt-in email digests. users.email is where digests (and later account mail) go.
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.string('email');
+  });
+
+  await knex.schema.createTable('digest_subscriptions', (table) => {
+    table.integer('user_id').primary().references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('frequency', 10).notNullable().defaultTo('off');
+    table.smallint('send_hour').notNullable().defaultTo(7);
+    table.smallint('weekday').notNullable().defaultTo(1);
+    table.string('timezone', 64).notNullable().defaultTo('America/Denver');
+    table.string('unsubscribe_token', 64).notNullable().unique();
+    table.timestamp('last_sent_at', { useTz: true });
+    table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('digest_subscriptions');
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('email');
+  });
+};
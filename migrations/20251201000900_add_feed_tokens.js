@@ -0,0 +1,11 @@
+// Secret token for each user's personal RSS/Atom/JSON feed URLs. Null until the
+// user turns feeds on; regenerating it invalidates the old URLs.
+exports.up = (knex) =>
+  knex.schema.alterTable('users', (table) => {
+    table.string('feed_token', 64).unique();
+  });
+
+exports.down = (knex) =>
+  knex.schema.alterTable('users', (table) => {
+    table.dropColumn('feed_token');
+  });
@@ -0,0 +1,18 @@
+// Personal API tokens for /api/v1. token_hash is a SHA-256 of the token;
+// token_hint keeps its last characters so users can tell tokens apart.
+// rate_limit overrides the default requests-per-minute for one token.
+exports.up = (knex) =>
+  knex.schema.createTable('api_tokens', (table) => {
+    table.increments('token_id').primary();
+    table.integer('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('name', 100).notNullable();
+    table.string('token_hash', 64).notNullable().unique();
+    table.string('token_hint', 8).notNullable();
+    table.integer('rate_limit');
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.timestamp('last_used_at', { useTz: true });
+    table.timestamp('revoked_at', { useTz: true });
+    table.index(['user_id']);
+  });
+
+exports.down = (knex) => knex.schema.dropTableIfExists('api_tokens');
@@ -0,0 +1,35 @@
+// Email addresses become unique (case-insensitively) and verifiable, and
+// user_tokens holds the single-use tokens for verification and password reset.
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.timestamp('email_verified_at', { useTz: true });
+  });
+  await knex.raw('UPDATE users SET email = LOWER(TRIM(email)) WHERE email IS NOT NULL');
+  // Keep the earliest account for any address used more than once
+  await knex.raw(`
+    UPDATE users SET email = NULL
+    WHERE email IS NOT NULL
+      AND user_id NOT IN (SELECT MIN(user_id) FROM users WHERE email IS NOT NULL GROUP BY email)
+  `);
+  await knex.raw('CREATE UNIQUE INDEX users_email_unique ON users (email) WHERE email IS NOT NULL');
+
+  await knex.schema.createTable('user_tokens', (table) => {
+    table.increments('token_id').primary();
+    table.integer('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('purpose', 20).notNullable();
+    table.string('token_hash', 64).notNullable().unique();
+    table.string('data');
+    table.timestamp('expires_at', { useTz: true }).notNullable();
+    table.timestamp('used_at', { useTz: true });
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['user_id', 'purpose']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('user_tokens');
+  await knex.raw('DROP INDEX IF EXISTS users_email_unique');
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('email_verified_at');
+  });
+};
@@ -0,0 +1,28 @@
+// Audit trail of sign-in attempts, used for throttling and the sign-in
+// activity pages, plus a temporary lockout timestamp on users.
+exports.up = async (knex) => {
+  await knex.schema.createTable('login_events', (table) => {
+    table.bigIncrements('event_id').primary();
+    table.integer('user_id').references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('username').notNullable();
+    table.string('ip', 64);
+    table.string('user_agent', 500);
+    table.boolean('success').notNullable();
+    table.string('reason', 20).notNullable();
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['username', 'created_at']);
+    table.index(['ip', 'created_at']);
+    table.index(['user_id', 'created_at']);
+  });
+
+  await knex.schema.alterTable('users', (table) => {
+    table.timestamp('locked_until', { useTz: true });
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('locked_until');
+  });
+  await knex.schema.dropTableIfExists('login_events');
+};
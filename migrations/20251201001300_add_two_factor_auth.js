@@ -0,0 +1,27 @@
+// Optional TOTP two-factor authentication. totp_last_step stops a code from
+// being used twice; recovery codes are stored as SHA-256 hashes.
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.string('totp_secret', 64);
+    table.timestamp('totp_enabled_at', { useTz: true });
+    table.bigInteger('totp_last_step');
+  });
+
+  await knex.schema.createTable('recovery_codes', (table) => {
+    table.increments('code_id').primary();
+    table.integer('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('code_hash', 64).notNullable();
+    table.timestamp('used_at', { useTz: true });
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.unique(['user_id', 'code_hash']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('recovery_codes');
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('totp_last_step');
+    table.dropColumn('totp_enabled_at');
+    table.dropColumn('totp_secret');
+  });
+};
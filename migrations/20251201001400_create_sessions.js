@@ -0,0 +1,17 @@
+// Server-side sessions for express-session (lib/session-store.js). user_id,
+// ip and user_agent mirror the session data for the active-sessions pages.
+exports.up = (knex) =>
+  knex.schema.createTable('sessions', (table) => {
+    table.string('sid', 255).primary();
+    table.json('sess').notNullable();
+    table.integer('user_id').references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('ip', 64);
+    table.string('user_agent', 500);
+    table.timestamp('expires_at', { useTz: true }).notNullable();
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['expires_at']);
+    table.index(['user_id']);
+  });
+
+exports.down = (knex) => knex.schema.dropTableIfExists('sessions');
@@ -0,0 +1,26 @@
+// Admin roles replace users.is_admin. Existing admins become superadmins.
+exports.up = async (knex) => {
+  await knex.schema.createTable('user_roles', (table) => {
+    table.integer('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('role', 20).notNullable();
+    table.integer('granted_by').references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('granted_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.primary(['user_id', 'role']);
+  });
+
+  await knex.raw("insert into user_roles (user_id, role) select user_id, 'superadmin' from users where is_admin");
+
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('is_admin');
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.boolean('is_admin').notNullable().defaultTo(false);
+  });
+  await knex('users')
+    .whereIn('user_id', knex('user_roles').where({ role: 'superadmin' }).select('user_id'))
+    .update({ is_admin: true });
+  await knex.schema.dropTableIfExists('user_roles');
+};
@@ -0,0 +1,23 @@
+// Audit trail of admin changes to users. Actor and target usernames are copied
+// so entries still read correctly after either account is deleted.
+exports.up = async (knex) => {
+  await knex.schema.createTable('admin_audit_log', (table) => {
+    table.bigIncrements('audit_id').primary();
+    table.integer('actor_id').references('user_id').inTable('users').onDelete('SET NULL');
+    table.string('actor_username');
+    table.string('action', 40).notNullable();
+    table.integer('target_user_id');
+    table.integer('target_person_id');
+    table.string('target_username');
+    table.jsonb('changes').notNullable().defaultTo('{}');
+    table.string('ip', 64);
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['actor_id', 'created_at']);
+    table.index(['target_user_id', 'created_at']);
+    table.index(['created_at']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('admin_audit_log');
+};
@@ -0,0 +1,19 @@
+// Usage events behind the admin dashboard: signups, daily active users,
+// saved articles and upstream news API calls (with success and duration).
+exports.up = async (knex) => {
+  await knex.schema.createTable('usage_events', (table) => {
+    table.bigIncrements('event_id').primary();
+    table.string('event_type', 40).notNullable();
+    table.integer('user_id').references('user_id').inTable('users').onDelete('SET NULL');
+    table.text('subject');
+    table.boolean('success');
+    table.integer('duration_ms');
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['event_type', 'created_at']);
+    table.index(['user_id', 'created_at']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('usage_events');
+};
@@ -0,0 +1,25 @@
+// Soft deletion: admins mark accounts deleted instead of removing them.
+// users.deleted_at blocks sign-in; person.deleted_at hides the record from the
+// admin lists (person rows don't always have a login). The purge job removes
+// accounts for good once they've been deleted longer than the retention period.
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.timestamp('deleted_at', { useTz: true });
+  });
+  await knex.schema.alterTable('person', (table) => {
+    table.timestamp('deleted_at', { useTz: true });
+    table.integer('deleted_by').references('user_id').inTable('users').onDelete('SET NULL');
+    table.index(['deleted_at']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('person', (table) => {
+    table.dropIndex(['deleted_at']);
+    table.dropColumn('deleted_by');
+    table.dropColumn('deleted_at');
+  });
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('deleted_at');
+  });
+};
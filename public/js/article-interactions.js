@@ -0,0 +1,45 @@
+// Track opened articles and handle "not interested" on the feed pages.
+// Uses event delegation so cards added by "load more" are covered too.
+(function () {
+    const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+
+    const record = (url, action) => {
+        if (!csrfMeta) {
+            return Promise.resolve(); // signed out: nothing to record
+        }
+        // sendBeacon can't set headers, so the CSRF token goes in the body
+        const body = new URLSearchParams({ url: url, action: action, _csrf: csrfMeta.content });
+        if (navigator.sendBeacon) {
+            navigator.sendBeacon('/article-interactions', body);
+            return Promise.resolve();
+        }
+        return fetch('/article-interactions', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: body,
+            keepalive: true
+        });
+    };
+
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('.news-link');
+        if (link) {
+            const card = link.closest('.news-card');
+            record(card.getAttribute('data-article-url'), 'opened');
+            card.classList.add('is-read');
+            return;
+        }
+
+        const dismissButton = e.target.closest('.dismiss-btn');
+        if (dismissButton) {
+            e.preventDefault();
+            const card = dismissButton.closest('.news-card');
+            record(dismissButton.getAttribute('data-url'), 'dismissed');
+            card.style.transition = 'opacity 0.3s ease';
+            card.style.opacity = '0';
+            setTimeout(() => card.remove(), 300);
+        }
+    });
+})();
@@ -0,0 +1,66 @@
+// Handle save article form submissions
+// The CSRF token is only on the page when someone is signed in
+const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+
+// Delegated, so cards added later by "load more" are covered too
+document.addEventListener('submit', async (e) => {
+    const form = e.target.closest('.save-article-form');
+    if (!form) {
+        return;
+    }
+    e.preventDefault();
+    const formData = new FormData(form);
+    const button = form.querySelector('.save-btn');
+
+    if (!csrfMeta) {
+        alert('Log in to save news');
+        return;
+    }
+    
+    // Disable button and show loading state
+    button.disabled = true;
+    button.style.opacity = '0.7';
+
+    try {
+        // Convert FormData to URL-encoded format
+        const params = new URLSearchParams(formData);
+        const response = await fetch('/save-article', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-CSRF-Token': csrfMeta.content,
+            },
+            body: params
+        });
+
+        // Check if user is not logged in (401 status)
+        if (response.status === 401) {
+            alert('Log in to save news');
+            button.disabled = false;
+            button.style.opacity = '1';
+            return;
+        }
+
+        const data = await response.json();
+
+        if (data.success) {
+            // Change to checkmark and white background
+            const bookmarkIcon = button.querySelector('.bookmark-icon');
+            const checkmarkIcon = button.querySelector('.checkmark-icon');
+            bookmarkIcon.style.display = 'none';
+            checkmarkIcon.style.display = 'inline';
+            button.classList.add('saved');
+            button.setAttribute('data-tooltip', 'Saved');
+            button.disabled = true;
+        } else {
+            alert(data.message || 'Error saving article');
+            button.disabled = false;
+            button.style.opacity = '1';
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        alert('Error saving article. Please try again.');
+        button.disabled = false;
+        button.style.opacity = '1';
+    }
+});
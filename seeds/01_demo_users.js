@@ -0,0 +1,110 @@
+const bcrypt = require('bcryptjs');
+
+// Demo data for local development: a superadmin, a moderator and a few regular
+// users with profiles, topics and saved articles. Usernames that already exist
+// are skipped, so the seed is safe to run again. Passwords come from
+// SEED_ADMIN_PASSWORD and SEED_USER_PASSWORD (see .env.example).
+const DEMO_USERS = [
+  {
+    username: 'admin',
+    email: 'admin@example.com',
+    roles: ['superadmin'],
+    person: { first_name: 'Ada', last_name: 'Admin', city: 'Provo', state: 'UT', country: 'USA' },
+    topics: [
+      { category: 'Science and Technology', weight: 5 },
+      { category: 'Education', weight: 3 },
+    ],
+    saved: [],
+  },
+  {
+    username: 'maria',
+    email: 'maria@example.com',
+    roles: ['moderator'],
+    person: { first_name: 'Maria', last_name: 'Lopez', city: 'Austin', state: 'TX', country: 'USA' },
+    topics: [
+      { category: 'Health', weight: 5 },
+      { category: 'Environment', weight: 4 },
+      { category: 'Human Interest', weight: 3 },
+    ],
+    saved: [
+      {
+        title: 'Community garden feeds hundreds of families',
+        url: 'https://example.com/news/community-garden',
+        site: 'example.com',
+        category: 'Human Interest',
+      },
+    ],
+  },
+  {
+    username: 'sam',
+    email: 'sam@example.com',
+    roles: [],
+    person: { first_name: 'Sam', last_name: 'Taylor', city: 'Toronto', state: 'ON', country: 'Canada' },
+    topics: [
+      { category: 'Sport', weight: 5 },
+      { category: 'Science and Technology', weight: 4, country: 'CA' },
+    ],
+    saved: [
+      {
+        title: 'Local team wins first championship in decades',
+        url: 'https://example.org/sport/championship',
+        site: 'example.org',
+        category: 'Sport',
+      },
+      {
+        title: 'Community garden feeds hundreds of families',
+        url: 'https://example.com/news/community-garden',
+        site: 'example.com',
+        category: 'Human Interest',
+      },
+    ],
+  },
+  {
+    username: 'priya',
+    email: 'priya@example.com',
+    roles: [],
+    person: { first_name: 'Priya', last_name: 'Shah', city: 'London', state: null, country: 'United Kingdom' },
+    topics: [
+      { category: 'Arts, Culture and Entertainment', weight: 5 },
+      { category: 'Lifestyle and Leisure', weight: 3 },
+    ],
+    saved: [],
+  },
+];
+
+exports.seed = async (knex) => {
+  const adminPassword = await bcrypt.hash(process.env.SEED_ADMIN_PASSWORD || 'admin-password', 10);
+  const userPassword = await bcrypt.hash(process.env.SEED_USER_PASSWORD || 'demo-password', 10);
+
+  for (const demo of DEMO_USERS) {
+    if (await knex('users').where({ username: demo.username }).first()) {
+      console.log(`Seed: ${demo.username} already exists, skipped`);
+      continue;
+    }
+
+    await knex.transaction(async (trx) => {
+      const [user] = await trx('users')
+        .insert({
+          username: demo.username,
+          email: demo.email,
+          email_verified_at: trx.fn.now(),
+          password: demo.roles.includes('superadmin') ? adminPassword : userPassword,
+        })
+        .returning(['user_id']);
+
+      await trx('person').insert({ user_id: user.user_id, ...demo.person });
+      if (demo.topics.length > 0) {
+        await trx('user_topics').insert(
+          demo.topics.map((topic) => ({ user_id: user.user_id, country: null, ...topic }))
+        );
+      }
+      if (demo.roles.length > 0) {
+        await trx('user_roles').insert(demo.roles.map((role) => ({ user_id: user.user_id, role })));
+      }
+      if (demo.saved.length > 0) {
+        await trx('news_posts').insert(demo.saved.map((post) => ({ user_id: user.user_id, ...post })));
+      }
+    });
+    console.log(`Seed: created ${demo.username}`);
+  }
+};
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, createClient, createUser } = require('./helpers/app');
+
+let testApp;
+
+before(async () => {
+  testApp = await startTestApp();
+});
+
+after(() => testApp.close());
+
+const deleteAccount = async (client, password = 'password123') => {
+  await client.get('/account');
+  return client.post('/account/delete', { password });
+};
+
+test('deleting an account needs the password', async () => {
+  const { user_id: userId } = await createUser(testApp.db, { username: 'unsure' });
+  const client = createClient(testApp.baseUrl);
+  await client.login('unsure');
+
+  const response = await deleteAccount(client, 'wrong-password');
+  assert.strictEqual(response.status, 400);
+  assert.match(response.text, /Enter your password to delete your account/);
+  assert.ok(await testApp.db('users').where({ user_id: userId }).first());
+});
+
+test("the only superadmin can't delete their own account (LAST_SUPERADMIN)", async () => {
+  const { user_id: userId } = await createUser(testApp.db, { username: 'boss', roles: ['superadmin'] });
+  const client = createClient(testApp.baseUrl);
+  await client.login('boss');
+
+  const response = await deleteAccount(client);
+  assert.strictEqual(response.status, 400);
+  assert.match(response.text, /only superadmin/);
+  assert.ok(await testApp.db('users').where({ user_id: userId }).first());
+  assert.strictEqual((await client.get('/account')).status, 200);
+});
+
+test('deleting an account soft deletes it, signs it out everywhere and audits it', async () => {
+  const { user_id: userId, person_id: personId } = await createUser(testApp.db, { username: 'departing' });
+  await testApp.db('news_posts').insert({ user_id: userId, title: 'Kept', url: 'https://example.com/kept' });
+  const elsewhere = createClient(testApp.baseUrl);
+  await elsewhere.login('departing');
+  const client = createClient(testApp.baseUrl);
+  await client.login('departing');
+
+  const response = await deleteAccount(client);
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/');
+
+  // Kept until the purge job runs, and restorable meanwhile
+  const person = await testApp.db('person').where({ person_id: personId }).first();
+  assert.ok(person.deleted_at);
+  assert.strictEqual(person.deleted_by, userId);
+  assert.ok((await testApp.db('users').where({ user_id: userId }).first()).deleted_at);
+  assert.ok(await testApp.db('news_posts').where({ user_id: userId }).first());
+
+  assert.strictEqual((await client.get('/account')).location, '/login');
+  assert.strictEqual((await elsewhere.get('/account')).location, '/login');
+  assert.strictEqual((await createClient(testApp.baseUrl).login('departing')).status, 401);
+
+  const audit = await testApp.db('admin_audit_log').where({ action: 'user.delete', target_user_id: userId }).first();
+  assert.ok(audit);
+  assert.strictEqual(audit.actor_username, 'departing');
+  assert.strictEqual(audit.target_username, 'departing');
+
+  await createUser(testApp.db, { username: 'keeper', roles: ['superadmin'] });
+  const admin = createClient(testApp.baseUrl);
+  await admin.login('keeper');
+  assert.match((await admin.get('/admin/users/deleted')).text, /departing/);
+});
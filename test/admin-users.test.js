@@ -0,0 +1,294 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, createClient, createUser } = require('./helpers/app');
+
+let testApp;
+let admin;
+
+before(async () => {
+  testApp = await startTestApp();
+  await createUser(testApp.db, { username: 'root', roles: ['superadmin'] });
+  admin = createClient(testApp.baseUrl);
+  await admin.login('root');
+});
+
+after(() => testApp.close());
+
+const personByUsername = (username) =>
+  testApp.db('person')
+    .join('users', 'person.user_id', 'users.user_id')
+    .where('users.username', username)
+    .select('person.*', 'users.deleted_at as user_deleted_at')
+    .first();
+
+test('admin pages send signed-out visitors to the login page', async () => {
+  const response = await createClient(testApp.baseUrl).get('/admin/users');
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/login');
+});
+
+test('users without a role get a 403', async () => {
+  await createUser(testApp.db, { username: 'plain' });
+  const client = createClient(testApp.baseUrl);
+  await client.login('plain');
+  assert.strictEqual((await client.get('/admin/users')).status, 403);
+});
+
+test("viewers can list users but can't create them", async () => {
+  await createUser(testApp.db, { username: 'watcher', roles: ['viewer'] });
+  const viewer = createClient(testApp.baseUrl);
+  await viewer.login('watcher');
+
+  const list = await viewer.get('/admin/users');
+  assert.strictEqual(list.status, 200);
+  assert.match(list.text, /watcher/);
+
+  const create = await viewer.post('/admin/users', {
+    username: 'sneaky',
+    password: 'password123',
+    confirm_password: 'password123',
+  });
+  assert.strictEqual(create.status, 403);
+  assert.strictEqual(await testApp.db('users').where({ username: 'sneaky' }).first(), undefined);
+});
+
+test('create adds the login, profile, topics and roles and audits it', async () => {
+  await admin.get('/admin/users/new');
+  const response = await admin.post('/admin/users', {
+    username: 'created',
+    password: 'password123',
+    confirm_password: 'password123',
+    first_name: 'Cree',
+    last_name: 'Ated',
+    city: 'Ogden',
+    state: 'UT',
+    country: 'USA',
+    'topics[0][category]': 'Weather',
+    'topics[0][weight]': '3',
+    roles: 'moderator',
+  });
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/admin/users');
+
+  const person = await personByUsername('created');
+  assert.strictEqual(person.first_name, 'Cree');
+  assert.strictEqual(person.city, 'Ogden');
+  assert.deepStrictEqual(await testApp.db('user_topics').where({ user_id: person.user_id }).pluck('category'), ['Weather']);
+  assert.deepStrictEqual(await testApp.db('user_roles').where({ user_id: person.user_id }).pluck('role'), ['moderator']);
+
+  const audit = await testApp.db('admin_audit_log').where({ action: 'user.create', target_username: 'created' }).first();
+  assert.ok(audit);
+  assert.strictEqual(audit.actor_username, 'root');
+
+  const list = await admin.get('/admin/users?search=created');
+  assert.match(list.text, /Cree Ated/);
+});
+
+test('create stores an optional email address and checks it', async () => {
+  await admin.get('/admin/users/new');
+  const form = { password: 'password123', confirm_password: 'password123' };
+
+  const created = await admin.post('/admin/users', { ...form, username: 'mailed', email: ' Mailed@Example.com ' });
+  assert.strictEqual(created.status, 302);
+  assert.strictEqual((await testApp.db('users').where({ username: 'mailed' }).first()).email, 'mailed@example.com');
+
+  await admin.get('/admin/users/new');
+  const invalid = await admin.post('/admin/users', { ...form, username: 'bad-mail', email: 'not-an-email' });
+  assert.strictEqual(invalid.status, 400);
+  assert.match(invalid.text, /Please enter a valid email address/);
+
+  const taken = await admin.post('/admin/users', { ...form, username: 'same-mail', email: 'mailed@example.com' });
+  assert.strictEqual(taken.status, 400);
+  assert.match(taken.text, /That email address is already in use/);
+  assert.deepStrictEqual(await testApp.db('users').whereIn('username', ['bad-mail', 'same-mail']).pluck('username'), []);
+});
+
+test('create rejects a username that is taken (DUPLICATE_USER)', async () => {
+  await admin.get('/admin/users/new');
+  const response = await admin.post('/admin/users', {
+    username: 'created',
+    password: 'password123',
+    confirm_password: 'password123',
+  });
+  assert.strictEqual(response.status, 400);
+  assert.match(response.text, /That username is already taken/);
+  assert.strictEqual((await testApp.db('users').where({ username: 'created' })).length, 1);
+});
+
+test('create validates the password', async () => {
+  await admin.get('/admin/users/new');
+  const short = await admin.post('/admin/users', { username: 'shorty', password: 'short', confirm_password: 'short' });
+  assert.strictEqual(short.status, 400);
+  assert.match(short.text, /at least 8 characters/);
+
+  const mismatch = await admin.post('/admin/users', {
+    username: 'shorty',
+    password: 'password123',
+    confirm_password: 'password321',
+  });
+  assert.strictEqual(mismatch.status, 400);
+  assert.match(mismatch.text, /Passwords do not match/);
+});
+
+test('edit shows the user and update saves the changes', async () => {
+  const { person_id: personId } = await personByUsername('created');
+  const form = await admin.get(`/admin/users/${personId}/edit`);
+  assert.strictEqual(form.status, 200);
+  assert.match(form.text, /value="created"/);
+
+  const response = await admin.post(`/admin/users/${personId}`, {
+    username: 'renamed',
+    first_name: 'Ren',
+    last_name: 'Amed',
+    city: 'Logan',
+    state: 'UT',
+    country: 'USA',
+    'topics[0][category]': 'Education',
+    'topics[0][weight]': '5',
+    roles: 'viewer',
+  });
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/admin/users');
+
+  const person = await personByUsername('renamed');
+  assert.strictEqual(person.person_id, personId);
+  assert.strictEqual(person.city, 'Logan');
+  assert.deepStrictEqual(await testApp.db('user_topics').where({ user_id: person.user_id }).pluck('category'), ['Education']);
+  assert.deepStrictEqual(await testApp.db('user_roles').where({ user_id: person.user_id }).pluck('role'), ['viewer']);
+
+  const audit = await testApp.db('admin_audit_log').where({ action: 'user.update', target_person_id: personId }).first();
+  const changes = typeof audit.changes === 'string' ? JSON.parse(audit.changes) : audit.changes;
+  assert.deepStrictEqual(changes['users.username'], { from: 'created', to: 'renamed' });
+});
+
+test('update rejects a username that belongs to someone else (DUPLICATE_USER)', async () => {
+  const { person_id: personId } = await personByUsername('renamed');
+  await admin.get(`/admin/users/${personId}/edit`);
+  const response = await admin.post(`/admin/users/${personId}`, { username: 'root' });
+  assert.strictEqual(response.status, 400);
+  assert.match(response.text, /That username is already taken/);
+  assert.ok(await personByUsername('renamed'));
+});
+
+test('edit and update of a missing person go back to the list (NOT_FOUND)', async () => {
+  const edit = await admin.get('/admin/users/99999/edit');
+  assert.strictEqual(edit.status, 302);
+  assert.strictEqual(edit.location, '/admin/users');
+
+  await admin.get('/admin/users');
+  const update = await admin.post('/admin/users/99999', { username: 'ghost' });
+  assert.strictEqual(update.status, 302);
+  assert.strictEqual(update.location, '/admin/users');
+  assert.strictEqual(await testApp.db('users').where({ username: 'ghost' }).first(), undefined);
+});
+
+test('delete hides the user, blocks sign-in, and restore brings them back', async () => {
+  const { user_id: userId, person_id: personId } = await createUser(testApp.db, { username: 'leaving' });
+  await testApp.db('news_posts').insert({ user_id: userId, title: 'Kept', url: 'https://example.com/kept' });
+
+  await admin.get('/admin/users');
+  const response = await admin.post(`/admin/users/${personId}/delete`);
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/admin/users?deleted=1');
+
+  const person = await personByUsername('leaving');
+  assert.ok(person.deleted_at);
+  assert.ok(person.user_deleted_at);
+  assert.ok(await testApp.db('news_posts').where({ user_id: userId }).first(), 'saved articles are kept');
+  assert.doesNotMatch((await admin.get('/admin/users?search=leaving')).text, />leaving</);
+  assert.match((await admin.get('/admin/users/deleted')).text, /leaving/);
+
+  const blocked = await createClient(testApp.baseUrl).login('leaving');
+  assert.strictEqual(blocked.status, 401);
+
+  const restore = await admin.post(`/admin/users/${personId}/restore`);
+  assert.strictEqual(restore.status, 302);
+  assert.strictEqual(restore.location, '/admin/users/deleted?restored=1');
+  assert.strictEqual((await personByUsername('leaving')).deleted_at, null);
+  assert.strictEqual((await createClient(testApp.baseUrl).login('leaving')).status, 302);
+
+  const actions = await testApp.db('admin_audit_log').where({ target_person_id: personId }).pluck('action');
+  assert.deepStrictEqual(actions.sort(), ['user.delete', 'user.restore']);
+});
+
+test('delete and restore of a missing person change nothing (NOT_FOUND)', async () => {
+  await admin.get('/admin/users');
+  const deleted = await admin.post('/admin/users/99999/delete');
+  assert.strictEqual(deleted.status, 302);
+  assert.strictEqual(deleted.location, '/admin/users');
+
+  const restored = await admin.post('/admin/users/99999/restore');
+  assert.strictEqual(restored.status, 302);
+  assert.strictEqual(restored.location, '/admin/users/deleted');
+});
+
+test("the last superadmin can't be deleted", async () => {
+  const root = await personByUsername('root');
+  await admin.get('/admin/users');
+  const response = await admin.post(`/admin/users/${root.person_id}/delete`);
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/admin/users?error=last_superadmin');
+  assert.strictEqual((await personByUsername('root')).deleted_at, null);
+});
+
+test("setting a user's password signs them out everywhere", async () => {
+  const { person_id: personId } = await createUser(testApp.db, { username: 'reset-me' });
+  const user = createClient(testApp.baseUrl);
+  await user.login('reset-me');
+  assert.strictEqual((await user.get('/account')).status, 200);
+
+  await admin.get(`/admin/users/${personId}/edit`);
+  const update = await admin.post(`/admin/users/${personId}`, {
+    username: 'reset-me',
+    password: 'new-password-1',
+    confirm_password: 'new-password-1',
+  });
+  assert.strictEqual(update.status, 302);
+
+  assert.strictEqual((await user.get('/account')).location, '/login');
+  assert.strictEqual((await createClient(testApp.baseUrl).login('reset-me', 'new-password-1')).status, 302);
+  assert.strictEqual((await admin.get('/admin/users')).status, 200);
+});
+
+test('saving a user without a new password keeps their sessions', async () => {
+  const { person_id: personId } = await createUser(testApp.db, { username: 'keep-me' });
+  const user = createClient(testApp.baseUrl);
+  await user.login('keep-me');
+
+  await admin.get(`/admin/users/${personId}/edit`);
+  await admin.post(`/admin/users/${personId}`, { username: 'keep-me', city: 'Moab' });
+  assert.strictEqual((await user.get('/account')).status, 200);
+});
+
+test('an exported CSV imports as is into another site', async () => {
+  const { user_id: userId } = await createUser(testApp.db, {
+    username: 'travels',
+    email: 'travels@example.com',
+    roles: ['moderator'],
+    person: { last_name: 'Far', city: 'Boise', state: 'ID', country: 'USA' },
+  });
+  await testApp.db('user_topics').insert({ user_id: userId, category: 'Health', weight: 4 });
+  const exported = await admin.get('/admin/users/export.csv?search=travels');
+  assert.strictEqual(exported.status, 200);
+  assert.match(exported.text, /^user_id,/);
+
+  const other = await startTestApp();
+  try {
+    await createUser(other.db, { username: 'root', roles: ['superadmin'] });
+    const otherAdmin = createClient(other.baseUrl);
+    await otherAdmin.login('root');
+    await otherAdmin.get('/admin/users/import');
+    const response = await otherAdmin.post('/admin/users/import', { csv: exported.text, action: 'import' });
+    assert.strictEqual(response.status, 302);
+    assert.strictEqual(response.location, '/admin/users?imported=1');
+
+    const user = await other.db('users').where({ username: 'travels' }).first();
+    assert.strictEqual(user.email, 'travels@example.com');
+    const person = await other.db('person').where({ user_id: user.user_id }).first();
+    assert.deepStrictEqual([person.last_name, person.city, person.state, person.country], ['Far', 'Boise', 'ID', 'USA']);
+    assert.deepStrictEqual(await other.db('user_topics').where({ user_id: user.user_id }).pluck('category'), ['Health']);
+    assert.deepStrictEqual(await other.db('user_roles').where({ user_id: user.user_id }).pluck('role'), ['moderator']);
+  } finally {
+    await other.close();
+  }
+});
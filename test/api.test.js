@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createApiToken } = require('../lib/api-tokens');
+const { startTestApp, createUser } = require('./helpers/app');
+
+let testApp;
+let userId;
+let token;
+
+before(async () => {
+  testApp = await startTestApp();
+  ({ user_id: userId } = await createUser(testApp.db, { username: 'scripted' }));
+  ({ token } = await createApiToken(testApp.db, userId, 'tests'));
+});
+
+after(() => testApp.close());
+
+const call = async (method, pathname, body) => {
+  const response = await fetch(`${testApp.baseUrl}/api/v1${pathname}`, {
+    method,
+    headers: {
+      authorization: `Bearer ${token}`,
+      ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const ARTICLE = { title: 'Ferry service resumes', url: 'https://example.com/ferry' };
+
+test('saving an article through the API stores it', async () => {
+  const response = await call('POST', '/saved', { ...ARTICLE, site: 'example.com' });
+  assert.strictEqual(response.status, 201);
+
+  const row = await testApp.db('news_posts').where({ user_id: userId, url: ARTICLE.url }).first();
+  assert.strictEqual(row.site, 'example.com');
+});
+
+test('saving rejects fields that are not strings (VALIDATION_ERROR)', async () => {
+  const url = 'https://example.com/typed';
+  for (const [field, value] of [['image_url', { src: 'x' }], ['published', 20251120], ['title', ['a']]]) {
+    const response = await call('POST', '/saved', { title: 'Typed', url, [field]: value });
+    assert.strictEqual(response.status, 400, field);
+    assert.strictEqual(response.body.error.code, 'VALIDATION_ERROR');
+    assert.match(response.body.error.message, new RegExp(field));
+  }
+  assert.strictEqual(await testApp.db('news_posts').where({ user_id: userId, url }).first(), undefined);
+});
+
+test('preferences replace the lists sent as arrays', async () => {
+  const response = await call('PUT', '/preferences', {
+    news_scope: 'local',
+    hide_read: true,
+    blocked_keywords: ['Spoilers'],
+    blocked_domains: ['example.net'],
+  });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.preferences.blocked_keywords, ['spoilers']);
+  assert.deepStrictEqual(response.body.preferences.blocked_domains, ['example.net']);
+});
+
+test('preferences reject lists and flags of the wrong type (VALIDATION_ERROR)', async () => {
+  for (const body of [
+    { blocked_keywords: 5 },
+    { blocked_keywords: 'spoilers' },
+    { blocked_domains: [5] },
+    { hide_read: 'yes' },
+    { min_sentiment: '0.5' },
+  ]) {
+    const response = await call('PUT', '/preferences', body);
+    assert.strictEqual(response.status, 400, JSON.stringify(body));
+    assert.strictEqual(response.body.error.code, 'VALIDATION_ERROR');
+  }
+  // The earlier save is untouched
+  const rules = await testApp.db('content_rules').where({ user_id: userId }).pluck('value');
+  assert.deepStrictEqual(rules.sort(), ['example.net', 'spoilers']);
+});
@@ -0,0 +1,160 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, createClient, createUser } = require('./helpers/app');
+
+let testApp;
+
+before(async () => {
+  testApp = await startTestApp();
+});
+
+after(() => testApp.close());
+
+const signupForm = (overrides = {}) => ({
+  username: 'newreader',
+  email: 'newreader@example.com',
+  password: 'password123',
+  confirm_password: 'password123',
+  first_name: 'New',
+  last_name: 'Reader',
+  city: 'Provo',
+  state: 'UT',
+  country: 'USA',
+  'topics[0][category]': 'Health',
+  'topics[0][weight]': '4',
+  ...overrides,
+});
+
+test('signup creates the user, profile and topics and signs them in', async () => {
+  const client = createClient(testApp.baseUrl);
+  await client.get('/signup');
+  const response = await client.post('/signup', signupForm());
+
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/');
+
+  const user = await testApp.db('users').where({ username: 'newreader' }).first();
+  assert.ok(user);
+  assert.strictEqual(user.email, 'newreader@example.com');
+  assert.notStrictEqual(user.password, 'password123');
+  const person = await testApp.db('person').where({ user_id: user.user_id }).first();
+  assert.strictEqual(person.city, 'Provo');
+  const topics = await testApp.db('user_topics').where({ user_id: user.user_id });
+  assert.deepStrictEqual(
+    topics.map((topic) => [topic.category, topic.weight]),
+    [['Health', 4]]
+  );
+
+  // Signed in: the account page loads instead of redirecting to /login
+  assert.strictEqual((await client.get('/account')).status, 200);
+  // and a verification email went out
+  assert.ok(testApp.mailer.sent.some((message) => message.to === 'newreader@example.com'));
+});
+
+test('signup rejects a username that is taken (DUPLICATE_USER)', async () => {
+  await createUser(testApp.db, { username: 'taken' });
+  const client = createClient(testApp.baseUrl);
+  await client.get('/signup');
+  const response = await client.post('/signup', signupForm({ username: 'taken', email: 'other@example.com' }));
+
+  assert.strictEqual(response.status, 409);
+  assert.match(response.text, /An account with that username already exists/);
+});
+
+test('signup rejects an email address that is taken (DUPLICATE_EMAIL)', async () => {
+  await createUser(testApp.db, { username: 'hasemail', email: 'used@example.com' });
+  const client = createClient(testApp.baseUrl);
+  await client.get('/signup');
+  const response = await client.post('/signup', signupForm({ username: 'fresh', email: 'Used@Example.com' }));
+
+  assert.strictEqual(response.status, 409);
+  assert.match(response.text, /An account with that email address already exists/);
+  assert.strictEqual(await testApp.db('users').where({ username: 'fresh' }).first(), undefined);
+});
+
+test('signup without an email address works and sends no verification email', async () => {
+  const client = createClient(testApp.baseUrl);
+  await client.get('/signup');
+  const sentBefore = testApp.mailer.sent.length;
+  const response = await client.post('/signup', signupForm({ username: 'no-email', email: '' }));
+
+  assert.strictEqual(response.status, 302);
+  const user = await testApp.db('users').where({ username: 'no-email' }).first();
+  assert.strictEqual(user.email, null);
+  assert.strictEqual(testApp.mailer.sent.length, sentBefore);
+});
+
+test('signup validates the form before touching the database', async () => {
+  const client = createClient(testApp.baseUrl);
+  await client.get('/signup');
+
+  let response = await client.post('/signup', signupForm({ username: '' }));
+  assert.strictEqual(response.status, 400);
+  assert.match(response.text, /Username and password are required/);
+
+  response = await client.post('/signup', signupForm({ username: 'mismatch', confirm_password: 'different1' }));
+  assert.strictEqual(response.status, 400);
+  assert.match(response.text, /Passwords do not match/);
+
+  response = await client.post('/signup', signupForm({ username: 'bademail', email: 'not-an-email' }));
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(await testApp.db('users').whereIn('username', ['mismatch', 'bademail']).first(), undefined);
+});
+
+test('signup without a CSRF token is rejected', async () => {
+  const client = createClient(testApp.baseUrl);
+  const response = await client.post('/signup', signupForm({ username: 'nocsrf', _csrf: '' }));
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(await testApp.db('users').where({ username: 'nocsrf' }).first(), undefined);
+});
+
+test("signed-out visits to the login, signup and reset forms don't store sessions", async () => {
+  const stored = await testApp.db('sessions').count({ count: '*' }).first();
+  const client = createClient(testApp.baseUrl);
+  for (const path of ['/login', '/signup', '/forgot-password']) {
+    assert.strictEqual((await client.get(path)).status, 200, path);
+  }
+  const storedAfter = await testApp.db('sessions').count({ count: '*' }).first();
+  assert.strictEqual(Number(storedAfter.count), Number(stored.count));
+});
+
+test('login signs in with the right password and logout ends the session', async () => {
+  await createUser(testApp.db, { username: 'reader' });
+  const client = createClient(testApp.baseUrl);
+
+  const response = await client.login('reader');
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/');
+  assert.strictEqual((await client.get('/account')).status, 200);
+
+  const event = await testApp.db('login_events').where({ username: 'reader' }).first();
+  assert.strictEqual(event.success, true);
+
+  await client.post('/logout');
+  const afterLogout = await client.get('/account');
+  assert.strictEqual(afterLogout.status, 302);
+  assert.strictEqual(afterLogout.location, '/login');
+});
+
+test('login rejects a wrong password and an unknown username the same way', async () => {
+  await createUser(testApp.db, { username: 'careful' });
+  const client = createClient(testApp.baseUrl);
+
+  const wrongPassword = await client.login('careful', 'wrong-password');
+  assert.strictEqual(wrongPassword.status, 401);
+  assert.match(wrongPassword.text, /Invalid username or password/);
+
+  const unknownUser = await client.login('nobody-here');
+  assert.strictEqual(unknownUser.status, 401);
+  assert.match(unknownUser.text, /Invalid username or password/);
+
+  const reasons = await testApp.db('login_events').whereIn('username', ['careful', 'nobody-here']).pluck('reason');
+  assert.deepStrictEqual(reasons.sort(), ['bad_password', 'unknown_user']);
+});
+
+test('login requires both fields', async () => {
+  const client = createClient(testApp.baseUrl);
+  const response = await client.login('', '');
+  assert.strictEqual(response.status, 400);
+});
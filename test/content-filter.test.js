@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildContentFilter, sentimentScore } = require('../lib/content-filter');
+
+const post = (title, extra = {}) => ({ title, url: `https://example.com/${encodeURIComponent(title)}`, ...extra });
+
+const NEUTRAL = post('City council meets on Tuesday');
+const UPBEAT = post('Volunteers celebrate a rescue');
+const MIXED = post('Volunteers help after the crash');
+const GLOOMY = post('Crash leaves victims injured');
+
+const titles = (posts) => posts.map((item) => item.title);
+
+test('sentimentScore is 0 when no word of the lexicon appears', () => {
+  assert.strictEqual(sentimentScore(NEUTRAL), 0);
+  assert.strictEqual(sentimentScore(UPBEAT), 1);
+  assert.strictEqual(sentimentScore(MIXED), 1 / 3);
+  assert.strictEqual(sentimentScore(GLOOMY), -1);
+});
+
+test('a positive minimum sentiment keeps posts the lexicon cannot score', () => {
+  const filter = buildContentFilter({ minSentiment: 0.5 });
+  assert.deepStrictEqual(titles(filter([NEUTRAL, UPBEAT, MIXED, GLOOMY])), [NEUTRAL.title, UPBEAT.title]);
+});
+
+test('a minimum of 0 only drops posts that read as negative', () => {
+  const filter = buildContentFilter({ minSentiment: 0 });
+  assert.deepStrictEqual(titles(filter([NEUTRAL, UPBEAT, MIXED, GLOOMY])), [NEUTRAL.title, UPBEAT.title, MIXED.title]);
+});
+
+test('without a minimum every post passes unless the provider marked it negative', () => {
+  const filter = buildContentFilter({});
+  const flagged = post('Quiet day downtown', { sentiment: 'negative' });
+  assert.deepStrictEqual(titles(filter([NEUTRAL, GLOOMY, flagged])), [NEUTRAL.title, GLOOMY.title]);
+});
+
+test('keyword, domain and category rules drop matching posts', () => {
+  const filter = buildContentFilter({ keywords: ['council'], domains: ['example.net'], categories: ['Sport'] });
+  const posts = [
+    NEUTRAL,
+    post('Library extends hours', { thread: { site: 'news.example.net' } }),
+    post('Team wins the cup', { categories: ['Sport'] }),
+    UPBEAT,
+  ];
+  assert.deepStrictEqual(titles(filter(posts)), [UPBEAT.title]);
+});
@@ -0,0 +1,184 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const session = require('express-session');
+const { COOKIE_NAME, createCsrfProtection, tokensMatch } = require('../lib/csrf');
+
+// A small app wired like app.js: session, body parser, then CSRF checks
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+  app.use(express.urlencoded({ extended: true }));
+  app.use(
+    createCsrfProtection({
+      secret: 'test',
+      ignorePaths: ['/api/'],
+      onReject: (req, res, reason) => res.status(403).json({ success: false, reason }),
+    })
+  );
+  app.get('/form', (req, res) => res.json({ token: res.locals.csrfToken() }));
+  // Stand-in for a sign-in: the session now holds a user
+  app.get('/signed-in/form', (req, res) => {
+    req.session.userId = 1;
+    res.json({ token: res.locals.csrfToken() });
+  });
+  app.post('/preferences', (req, res) => res.json({ success: true }));
+  app.delete('/unsave-article', (req, res) => res.json({ success: true }));
+  app.post('/api/v1/saved', (req, res) => res.json({ success: true }));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const cookieHeader = (response) =>
+  response.headers
+    .getSetCookie()
+    .map((header) => header.split(';')[0])
+    .join('; ');
+
+// Load a form page as a signed-in user and return the session cookie and its CSRF token
+const openForm = async () => {
+  const response = await fetch(`${baseUrl}/signed-in/form`);
+  const cookie = cookieHeader(response);
+  const { token } = await response.json();
+  return { cookie, token };
+};
+
+// Load a form page signed out -> the CSRF cookie, its token and every cookie set
+const openAnonymousForm = async () => {
+  const response = await fetch(`${baseUrl}/form`);
+  const cookie = cookieHeader(response);
+  const { token } = await response.json();
+  return { cookie, token };
+};
+
+const post = (path, { cookie, headers = {}, body = {}, method = 'POST' } = {}) =>
+  fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: cookie, ...headers },
+    body: new URLSearchParams(body),
+  });
+
+test('accepts a same-origin form post with the session token', async () => {
+  const { cookie, token } = await openForm();
+  const response = await post('/preferences', {
+    cookie,
+    headers: { Origin: baseUrl },
+    body: { _csrf: token },
+  });
+  assert.strictEqual(response.status, 200);
+});
+
+test('accepts a fetch call that sends the token in X-CSRF-Token', async () => {
+  const { cookie, token } = await openForm();
+  const response = await post('/unsave-article', {
+    method: 'DELETE',
+    cookie,
+    headers: { 'X-CSRF-Token': token },
+    body: { url: 'https://example.com/a' },
+  });
+  assert.strictEqual(response.status, 200);
+});
+
+test('rejects a post with only the session cookie', async () => {
+  const { cookie } = await openForm();
+  const response = await post('/preferences', { cookie });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).reason, 'CSRF_TOKEN');
+});
+
+test('rejects a cross-origin form post even when it carries a token', async () => {
+  const { cookie, token } = await openForm();
+  const response = await post('/preferences', {
+    cookie,
+    headers: { Origin: 'https://evil.example' },
+    body: { _csrf: token },
+  });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).reason, 'CSRF_ORIGIN');
+});
+
+test('falls back to the Referer header when Origin is missing', async () => {
+  const { cookie, token } = await openForm();
+  const response = await post('/unsave-article', {
+    method: 'DELETE',
+    cookie,
+    headers: { Referer: 'https://evil.example/page', 'X-CSRF-Token': token },
+  });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).reason, 'CSRF_ORIGIN');
+});
+
+test("rejects another session's token", async () => {
+  const victim = await openForm();
+  const attacker = await openForm();
+  const response = await post('/preferences', {
+    cookie: victim.cookie,
+    body: { _csrf: attacker.token },
+  });
+  assert.strictEqual(response.status, 403);
+});
+
+test('rejects posts from a client without a session', async () => {
+  const { token } = await openForm();
+  const response = await post('/preferences', { body: { _csrf: token } });
+  assert.strictEqual(response.status, 403);
+});
+
+test("a signed-out form page sets only the CSRF cookie, so no session is stored", async () => {
+  const { cookie, token } = await openAnonymousForm();
+  assert.match(cookie, new RegExp(`^${COOKIE_NAME}=[^;]+$`));
+  assert.strictEqual(cookie, `${COOKIE_NAME}=${token}`);
+});
+
+test('a signed-out form post is accepted with the cookie and its token', async () => {
+  const { cookie, token } = await openAnonymousForm();
+  const response = await post('/preferences', { cookie, headers: { Origin: baseUrl }, body: { _csrf: token } });
+  assert.strictEqual(response.status, 200);
+});
+
+test("a signed-out form post is rejected without the cookie or with another visitor's token", async () => {
+  const visitor = await openAnonymousForm();
+  const other = await openAnonymousForm();
+  assert.strictEqual((await post('/preferences', { body: { _csrf: visitor.token } })).status, 403);
+  assert.strictEqual((await post('/preferences', { cookie: visitor.cookie, body: { _csrf: other.token } })).status, 403);
+  assert.strictEqual((await post('/preferences', { cookie: visitor.cookie })).status, 403);
+});
+
+test("a cookie token the server didn't sign is rejected", async () => {
+  const forged = 'forged-nonce.forged-signature';
+  const response = await post('/preferences', { cookie: `${COOKIE_NAME}=${forged}`, body: { _csrf: forged } });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).reason, 'CSRF_TOKEN');
+});
+
+test('a signed-out cross-origin post is rejected even with a good token', async () => {
+  const { cookie, token } = await openAnonymousForm();
+  const response = await post('/preferences', {
+    cookie,
+    headers: { Origin: 'https://evil.example' },
+    body: { _csrf: token },
+  });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).reason, 'CSRF_ORIGIN');
+});
+
+test('skips ignored paths such as the bearer-token API', async () => {
+  const response = await post('/api/v1/saved', { headers: { Origin: 'https://evil.example' } });
+  assert.strictEqual(response.status, 200);
+});
+
+test('tokensMatch needs two equal strings', () => {
+  assert.strictEqual(tokensMatch('abc', 'abc'), true);
+  assert.strictEqual(tokensMatch('abc', 'abd'), false);
+  assert.strictEqual(tokensMatch('abc', 'abcd'), false);
+  assert.strictEqual(tokensMatch(undefined, undefined), false);
+  assert.strictEqual(tokensMatch('abc', ['abc']), false);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isDue } = require('../lib/digest');
+
+const daily = (overrides = {}) => ({ frequency: 'daily', send_hour: 7, timezone: 'UTC', last_sent_at: null, ...overrides });
+const at = (iso) => new Date(iso);
+
+test('digests that are off or have an unknown frequency are never due', () => {
+  assert.strictEqual(isDue(daily({ frequency: 'off' }), at('2025-11-20T12:00:00Z')), false);
+  assert.strictEqual(isDue(daily({ frequency: 'hourly' }), at('2025-11-20T12:00:00Z')), false);
+});
+
+test('a daily digest is due once per day from the send hour', () => {
+  assert.strictEqual(isDue(daily(), at('2025-11-20T06:59:00Z')), false);
+  assert.strictEqual(isDue(daily(), at('2025-11-20T07:00:00Z')), true);
+  assert.strictEqual(isDue(daily({ last_sent_at: '2025-11-20T07:00:00Z' }), at('2025-11-20T23:00:00Z')), false);
+  assert.strictEqual(isDue(daily({ last_sent_at: '2025-11-19T07:00:00Z' }), at('2025-11-20T07:00:00Z')), true);
+  // A missing timezone means UTC
+  assert.strictEqual(isDue(daily({ timezone: null }), at('2025-11-20T07:00:00Z')), true);
+});
+
+test("the send hour and the day are read in the subscriber's timezone", () => {
+  const newYork = daily({ timezone: 'America/New_York' });
+  // 06:59 and 07:00 EST
+  assert.strictEqual(isDue(newYork, at('2025-11-20T11:59:00Z')), false);
+  assert.strictEqual(isDue(newYork, at('2025-11-20T12:00:00Z')), true);
+
+  // 23:30 PST on the 20th is still the day a 08:00 PST send went out,
+  // though it is already the 21st in UTC
+  const losAngeles = daily({ timezone: 'America/Los_Angeles', last_sent_at: '2025-11-20T16:00:00Z' });
+  assert.strictEqual(isDue(losAngeles, at('2025-11-21T07:30:00Z')), false);
+  assert.strictEqual(isDue(losAngeles, at('2025-11-21T15:00:00Z')), true);
+
+  // 20:00 HST on the 19th is the day before the UTC date
+  const honolulu = daily({ timezone: 'Pacific/Honolulu', send_hour: 18, last_sent_at: '2025-11-19T04:00:00Z' });
+  assert.strictEqual(isDue(honolulu, at('2025-11-20T06:00:00Z')), true);
+});
+
+test('the send hour follows local time across the spring DST change', () => {
+  const newYork = daily({ timezone: 'America/New_York' });
+  // 2025-03-09: 07:00 EDT is 11:00 UTC, an hour earlier than 07:00 EST the day before
+  assert.strictEqual(isDue(newYork, at('2025-03-08T11:00:00Z')), false);
+  assert.strictEqual(isDue(newYork, at('2025-03-08T12:00:00Z')), true);
+  assert.strictEqual(isDue(newYork, at('2025-03-09T10:59:00Z')), false);
+  assert.strictEqual(isDue(newYork, at('2025-03-09T11:00:00Z')), true);
+
+  // A 02:00 send hour doesn't exist that morning; it goes out at 03:00 EDT instead
+  const skippedHour = daily({ timezone: 'America/New_York', send_hour: 2, last_sent_at: '2025-03-08T07:00:00Z' });
+  assert.strictEqual(isDue(skippedHour, at('2025-03-09T06:59:00Z')), false);
+  assert.strictEqual(isDue(skippedHour, at('2025-03-09T07:00:00Z')), true);
+});
+
+test('the repeated hour of the autumn DST change sends once', () => {
+  // 2025-11-02: 01:00 EDT (05:00 UTC) and 01:00 EST (06:00 UTC) are the same local day
+  const newYork = daily({ timezone: 'America/New_York', send_hour: 1, last_sent_at: '2025-11-01T05:00:00Z' });
+  assert.strictEqual(isDue(newYork, at('2025-11-02T05:00:00Z')), true);
+  assert.strictEqual(isDue({ ...newYork, last_sent_at: '2025-11-02T05:00:00Z' }, at('2025-11-02T06:00:00Z')), false);
+});
+
+test('a weekly digest is due on the chosen local weekday', () => {
+  // weekday 1 is Monday; 2025-11-24 is a Monday
+  const weekly = daily({ frequency: 'weekly', weekday: 1, send_hour: 8 });
+  assert.strictEqual(isDue(weekly, at('2025-11-24T08:00:00Z')), true);
+  assert.strictEqual(isDue(weekly, at('2025-11-25T08:00:00Z')), false);
+  assert.strictEqual(isDue({ ...weekly, last_sent_at: '2025-11-24T08:00:00Z' }, at('2025-11-24T20:00:00Z')), false);
+  assert.strictEqual(isDue({ ...weekly, last_sent_at: '2025-11-17T08:00:00Z' }, at('2025-11-24T08:00:00Z')), true);
+
+  // 08:00 UTC Monday is still Sunday evening in Honolulu
+  const honolulu = { ...weekly, timezone: 'Pacific/Honolulu' };
+  assert.strictEqual(isDue(honolulu, at('2025-11-24T08:00:00Z')), false);
+  assert.strictEqual(isDue(honolulu, at('2025-11-24T18:00:00Z')), true);
+});
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { newDb, DataType } = require('pg-mem');
+const { createApp } = require('../../app');
+
+// Shared setup for the integration tests: the real app (see app.js) on an
+// in-memory Postgres (pg-mem) with every migration applied, a stubbed news
+// source and a mailer that keeps messages instead of sending them.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+// Data backfills pg-mem can't parse. They only rewrite existing rows, so
+// skipping them on an empty database changes nothing. (test/migrations.test.js
+// checks the news_posts site backfill's SQL instead.)
+const SKIPPED_STATEMENTS = [/substring\(url from/];
+
+const skipUnsupported = (knex) =>
+  new Proxy(knex, {
+    get(target, property) {
+      if (property !== 'raw') {
+        return target[property];
+      }
+      return (sql, ...bindings) =>
+        SKIPPED_STATEMENTS.some((pattern) => pattern.test(sql)) ? Promise.resolve() : target.raw(sql, ...bindings);
+    },
+  });
+
+const migrationSource = {
+  getMigrations: async () => fs.readdirSync(MIGRATIONS_DIR).filter((file) => file.endsWith('.js')).sort(),
+  getMigrationName: (file) => file,
+  getMigration: async (file) => {
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    return {
+      up: (knex) => migration.up(skipUnsupported(knex)),
+      down: (knex) => migration.down(skipUnsupported(knex)),
+    };
+  },
+};
+
+// A fresh in-memory database with the current schema, or with every migration
+// before `until` (a migration file name) applied so a test can add rows for it
+// to convert and then run it with migrateNext()
+const createTestDb = async ({ until = null } = {}) => {
+  const memory = newDb();
+  // pg-mem has no trim(); the email and topic backfills use it
+  memory.public.registerFunction({
+    name: 'trim',
+    args: [DataType.text],
+    returns: DataType.text,
+    implementation: (value) => value.trim(),
+  });
+  const db = memory.adapters.createKnex();
+  if (!until) {
+    await db.migrate.latest({ migrationSource });
+    return db;
+  }
+  for (;;) {
+    const [, pending] = await db.migrate.list({ migrationSource });
+    if (pending.length === 0 || pending[0] === until) {
+      return db;
+    }
+    await db.migrate.up({ migrationSource });
+  }
+};
+
+// Apply the next pending migration
+const migrateNext = (db) => db.migrate.up({ migrationSource });
+
+// News source that returns `posts` (filtered by category) and records each search
+const createStubNews = (posts = []) => {
+  const searches = [];
+  return {
+    name: 'stub',
+    capabilities: { location: true },
+    searches,
+    search: async (options = {}) => {
+      searches.push(options);
+      const matches = posts.filter(
+        (post) => !options.category || (post.categories || []).includes(options.category)
+      );
+      return { posts: matches, totalResults: matches.length, moreResultsAvailable: 0, next: null };
+    },
+  };
+};
+
+const createTestMailer = () => {
+  const sent = [];
+  return {
+    name: 'test',
+    sent,
+    send: async (message) => {
+      sent.push(message);
+    },
+  };
+};
+
+// Start the app on a random port -> { db, news, mailer, baseUrl, close }. The
+// news source is a stub serving `posts` unless `news` is given.
+const startTestApp = async ({ posts = [], news = createStubNews(posts) } = {}) => {
+  const db = await createTestDb();
+  const mailer = createTestMailer();
+  const { app } = createApp({ db, newsSource: news, mailer, sessionSecret: 'test-secret' });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    db,
+    news,
+    mailer,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await db.destroy();
+    },
+  };
+};
+
+// Insert a user with a person row (and optional roles) -> { user_id, person_id }
+const createUser = async (db, { username, password = 'password123', email = null, roles = [], person = {} }) => {
+  const [user] = await db('users')
+    .insert({ username, email, password: await bcrypt.hash(password, 4) })
+    .returning(['user_id']);
+  const [row] = await db('person')
+    .insert({ user_id: user.user_id, first_name: username, ...person })
+    .returning(['person_id']);
+  if (roles.length > 0) {
+    await db('user_roles').insert(roles.map((role) => ({ user_id: user.user_id, role })));
+  }
+  return { user_id: user.user_id, person_id: row.person_id };
+};
+
+// A browser stand-in: keeps its cookies (the session, and the CSRF cookie of
+// signed-out pages) and the CSRF token from the last page it loaded, and sends
+// both with every form post.
+const createClient = (baseUrl) => {
+  const cookies = new Map();
+  let csrfToken = null;
+
+  const request = async (method, pathname, { form = null, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(cookies.size > 0 ? { cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; ') } : {}),
+        ...(form ? { 'content-type': 'application/x-www-form-urlencoded' } : {}),
+        ...headers,
+      },
+      body: form ? new URLSearchParams(form) : undefined,
+    });
+    response.headers.getSetCookie().forEach((header) => {
+      const [pair] = header.split(';');
+      const separator = pair.indexOf('=');
+      cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+    });
+    const text = await response.text();
+    const token = /name="_csrf" value="([^"]+)"|name="csrf-token" content="([^"]+)"/.exec(text);
+    if (token) {
+      csrfToken = token[1] || token[2];
+    }
+    return {
+      status: response.status,
+      location: response.headers.get('location'),
+      text,
+      json: () => JSON.parse(text),
+    };
+  };
+
+  const client = {
+    get: (pathname) => request('GET', pathname),
+    // Form post, with the page's CSRF token unless `_csrf` is given
+    post: (pathname, form = {}) => request('POST', pathname, { form: { _csrf: csrfToken, ...form } }),
+    // fetch()-style call from page scripts: CSRF token in the header
+    send: (method, pathname, form = {}) =>
+      request(method, pathname, { form, headers: { 'x-csrf-token': csrfToken || '' } }),
+    login: async (username, password = 'password123') => {
+      await client.get('/login');
+      return client.post('/login', { username, password });
+    },
+  };
+  return client;
+};
+
+module.exports = {
+  createTestDb,
+  migrateNext,
+  createStubNews,
+  createTestMailer,
+  startTestApp,
+  createUser,
+  createClient,
+};
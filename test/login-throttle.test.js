@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createLoginThrottle } = require('../lib/login-throttle');
+const { createTestDb, startTestApp, createClient, createUser } = require('./helpers/app');
+
+const START = new Date('2025-11-20T12:00:00Z');
+
+let db;
+
+before(async () => {
+  db = await createTestDb();
+});
+
+after(() => db.destroy());
+
+// A throttle on its own clock; advance(ms) moves time forward
+const createThrottle = (options = {}) => {
+  let current = START.getTime();
+  const throttle = createLoginThrottle(db, { ...options, now: () => new Date(current) });
+  throttle.advance = (ms) => {
+    current += ms;
+  };
+  return throttle;
+};
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// A failed password attempt for `user`, made once the throttle allows it
+const fail = (throttle, user, ip = '203.0.113.1') =>
+  throttle.record({ userId: user.user_id, username: user.username, ip, success: false, reason: 'bad_password' });
+
+test('failures past the free attempts wait 2, 4, 8 ... seconds', async () => {
+  const user = { ...(await createUser(db, { username: 'slowed' })), username: 'slowed' };
+  const throttle = createThrottle({ freeAttempts: 3, lockoutAttempts: 100 });
+  const attempt = { username: 'slowed', ip: '203.0.113.1' };
+
+  for (let i = 0; i < 3; i += 1) {
+    assert.strictEqual((await throttle.check(attempt)).allowed, true);
+    await fail(throttle, user);
+  }
+  let result = await throttle.check(attempt);
+  assert.deepStrictEqual(result, { allowed: false, reason: 'throttled', retryAfterSeconds: 2 });
+
+  throttle.advance(2 * SECOND);
+  assert.strictEqual((await throttle.check(attempt)).allowed, true);
+  await fail(throttle, user);
+  result = await throttle.check(attempt);
+  assert.strictEqual(result.retryAfterSeconds, 4);
+});
+
+test('enough failures lock the account until the lockout expires', async () => {
+  const user = { ...(await createUser(db, { username: 'locked-out' })), username: 'locked-out' };
+  const throttle = createThrottle({ freeAttempts: 100, lockoutAttempts: 3, lockoutMinutes: 15 });
+  const attempt = { username: 'locked-out', ip: '203.0.113.2' };
+
+  assert.deepStrictEqual(await fail(throttle, user, attempt.ip), { locked: false });
+  assert.deepStrictEqual(await fail(throttle, user, attempt.ip), { locked: false });
+  assert.deepStrictEqual(await fail(throttle, user, attempt.ip), { locked: true });
+
+  const row = await db('users').where({ user_id: user.user_id }).first();
+  assert.strictEqual(new Date(row.locked_until).getTime(), START.getTime() + 15 * MINUTE);
+  assert.deepStrictEqual(await throttle.check(attempt), { allowed: false, reason: 'locked', retryAfterSeconds: 900 });
+
+  throttle.advance(14 * MINUTE);
+  assert.deepStrictEqual(await throttle.check(attempt), { allowed: false, reason: 'locked', retryAfterSeconds: 60 });
+
+  throttle.advance(MINUTE + SECOND);
+  assert.strictEqual((await throttle.check(attempt)).allowed, true);
+});
+
+test('a successful sign-in resets the failure count and the lock', async () => {
+  const user = { ...(await createUser(db, { username: 'recovers' })), username: 'recovers' };
+  const throttle = createThrottle({ freeAttempts: 2, lockoutAttempts: 3 });
+  const attempt = { username: 'recovers', ip: '203.0.113.3' };
+
+  await fail(throttle, user, attempt.ip);
+  await fail(throttle, user, attempt.ip);
+  throttle.advance(5 * SECOND);
+  await throttle.record({ ...attempt, userId: user.user_id, success: true, reason: 'ok' });
+  throttle.advance(SECOND);
+
+  // Two more failures after the success: back under the lockout, first one free
+  await fail(throttle, user, attempt.ip);
+  assert.strictEqual((await throttle.check(attempt)).allowed, true);
+  assert.deepStrictEqual(await fail(throttle, user, attempt.ip), { locked: false });
+  assert.strictEqual((await db('users').where({ user_id: user.user_id }).first()).locked_until, null);
+});
+
+test('too many failures from one IP block it until the window moves on', async () => {
+  const throttle = createThrottle({ ipMaxFailures: 3, windowMinutes: 15 });
+  const ip = '198.51.100.9';
+  for (const username of ['nobody-1', 'nobody-2', 'nobody-3']) {
+    await throttle.record({ username, ip, success: false, reason: 'unknown_user' });
+    throttle.advance(MINUTE);
+  }
+
+  // Any username from that address is blocked; other addresses are not
+  const blocked = await throttle.check({ username: 'someone-else', ip });
+  assert.deepStrictEqual(blocked, { allowed: false, reason: 'throttled', retryAfterSeconds: 12 * 60 });
+  assert.strictEqual((await throttle.check({ username: 'someone-else', ip: '198.51.100.10' })).allowed, true);
+
+  throttle.advance(12 * MINUTE + SECOND);
+  assert.strictEqual((await throttle.check({ username: 'someone-else', ip })).allowed, true);
+});
+
+test('an admin can unlock a locked account from the sign-in activity page', async () => {
+  const testApp = await startTestApp();
+  try {
+    await createUser(testApp.db, { username: 'root', roles: ['superadmin'] });
+    const { user_id: userId } = await createUser(testApp.db, { username: 'stuck' });
+    await testApp.db('users').where({ user_id: userId }).update({ locked_until: new Date(Date.now() + 10 * MINUTE) });
+
+    const blocked = await createClient(testApp.baseUrl).login('stuck');
+    assert.strictEqual(blocked.status, 429);
+    assert.match(blocked.text, /temporarily locked/);
+
+    const admin = createClient(testApp.baseUrl);
+    await admin.login('root');
+    await admin.get('/admin/login-events');
+    const response = await admin.post('/admin/login-events/unlock', { user_id: String(userId) });
+    assert.strictEqual(response.status, 302);
+    assert.strictEqual(response.location, '/admin/login-events');
+
+    assert.strictEqual((await testApp.db('users').where({ user_id: userId }).first()).locked_until, null);
+    assert.ok(await testApp.db('admin_audit_log').where({ action: 'user.unlock', target_user_id: userId }).first());
+    assert.strictEqual((await createClient(testApp.baseUrl).login('stuck')).status, 302);
+  } finally {
+    await testApp.close();
+  }
+});
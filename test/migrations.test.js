@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const knex = require('knex');
+const addArticleMetadata = require('../migrations/20251201000200_add_article_metadata_to_news_posts');
+const { createTestDb, migrateNext } = require('./helpers/app');
+
+// pg-mem can't run the site backfill (test/helpers/app.js skips it), so check the
+// SQL knex would send to Postgres instead: run the migration against a stand-in
+// that compiles each raw statement to the pg driver's native form.
+const compileRawStatements = async (migration) => {
+  const pg = knex({ client: 'pg' });
+  const statements = [];
+  await migration.up({
+    schema: { alterTable: async () => {} },
+    fn: { now: () => null },
+    raw: async (sql, bindings) => {
+      statements.push((bindings ? pg.raw(sql, bindings) : pg.raw(sql)).toSQL().toNative());
+    },
+  });
+  await pg.destroy();
+  return statements;
+};
+
+// What Postgres does with `lower(regexp_replace(substring(url from <pattern>), <www>, ''))`
+const deriveSite = (sql, url) => {
+  const [, pattern, www] = /substring\(url from '([^']+)'\), '([^']+)', ''/.exec(sql);
+  const match = new RegExp(pattern).exec(url);
+  return match ? match[1].replace(new RegExp(www), '').toLowerCase() : null;
+};
+
+test('the news_posts site backfill reaches Postgres without bindings', async () => {
+  const [backfill] = await compileRawStatements(addArticleMetadata);
+  assert.match(backfill.sql, /UPDATE news_posts/);
+  assert.deepStrictEqual(backfill.bindings, []);
+  // The ? in the character class stays a literal rather than becoming $1
+  assert.doesNotMatch(backfill.sql, /\$\d/);
+  assert.match(backfill.sql, /\[\^\/:\?#\]/);
+});
+
+test('the news_posts site backfill derives the host from the url', async () => {
+  const [{ sql }] = await compileRawStatements(addArticleMetadata);
+  assert.strictEqual(deriveSite(sql, 'https://www.Example.com/story'), 'example.com');
+  assert.strictEqual(deriveSite(sql, 'http://news.example.org:8080/a'), 'news.example.org');
+  assert.strictEqual(deriveSite(sql, 'https://example.net?ref=feed'), 'example.net');
+  assert.strictEqual(deriveSite(sql, 'https://example.io#top'), 'example.io');
+  assert.strictEqual(deriveSite(sql, 'not a url'), null);
+});
+
+test('the user_topics migration turns the three preferences into weighted topics', async () => {
+  const db = await createTestDb({ until: '20251201000500_create_user_topics.js' });
+  try {
+    const [{ user_id: first }, { user_id: second }, { user_id: third }] = await db('users')
+      .insert(['three-prefs', 'repeats', 'none'].map((username) => ({ username, password: 'x' })))
+      .returning(['user_id']);
+    await db('person').insert([
+      { user_id: first, preference_one: 'Sport', preference_two: 'Health', preference_three: 'Education' },
+      { user_id: second, preference_one: 'Sport', preference_two: 'Sport', preference_three: '  ' },
+      { user_id: third },
+    ]);
+
+    await migrateNext(db);
+
+    const topics = await db('user_topics').orderBy('user_id').orderBy('weight', 'desc');
+    assert.deepStrictEqual(
+      topics.map((topic) => [topic.user_id, topic.category, topic.weight]),
+      [
+        [first, 'Sport', 5],
+        [first, 'Health', 4],
+        [first, 'Education', 3],
+        [second, 'Sport', 5],
+      ]
+    );
+    assert.strictEqual(await db.schema.hasColumn('person', 'preference_one'), false);
+  } finally {
+    await db.destroy();
+  }
+});
+
+test('the email migration normalizes addresses and keeps each one on the earliest account', async () => {
+  const db = await createTestDb({ until: '20251201001100_add_email_verification_and_user_tokens.js' });
+  try {
+    const emails = ['  Reader@Example.COM ', 'reader@example.com', 'other@example.com', null];
+    const rows = await db('users')
+      .insert(emails.map((email, index) => ({ username: `legacy-${index}`, password: 'x', email })))
+      .returning(['user_id']);
+
+    await migrateNext(db);
+
+    const users = await db('users').whereIn('user_id', rows.map((row) => row.user_id)).orderBy('user_id');
+    assert.deepStrictEqual(
+      users.map((user) => user.email),
+      ['reader@example.com', null, 'other@example.com', null]
+    );
+    await assert.rejects(db('users').insert({ username: 'dupe', password: 'x', email: 'other@example.com' }));
+  } finally {
+    await db.destroy();
+  }
+});
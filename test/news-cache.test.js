@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { cacheKey, createMemoryStore, createPostgresStore, createCachedProvider } = require('../lib/news/cache');
+const { createTestDb } = require('./helpers/app');
+
+const TTL_SECONDS = 60;
+const STALE_SECONDS = 300;
+
+let db;
+
+before(async () => {
+  db = await createTestDb();
+});
+
+after(() => db.destroy());
+
+// An upstream that counts its calls and numbers each response
+const createCountingProvider = () => {
+  const provider = {
+    name: 'counting',
+    calls: 0,
+    async search({ query }) {
+      provider.calls += 1;
+      return { posts: [{ title: `${query} #${provider.calls}` }] };
+    },
+  };
+  return provider;
+};
+
+// Let a test wait for the write that follows a background refresh
+const watchWrites = (store) => {
+  let waiting = [];
+  return {
+    ...store,
+    async set(key, entry) {
+      await store.set(key, entry);
+      waiting.forEach((resolve) => resolve());
+      waiting = [];
+    },
+    nextWrite: () => new Promise((resolve) => waiting.push(resolve)),
+  };
+};
+
+// A cached provider on its own clock; advance(seconds) moves time forward
+const createCache = (store) => {
+  let current = new Date('2025-11-20T12:00:00Z').getTime();
+  const provider = createCountingProvider();
+  const cached = createCachedProvider(provider, {
+    store: watchWrites(store),
+    ttlSeconds: TTL_SECONDS,
+    staleSeconds: STALE_SECONDS,
+    now: () => current,
+  });
+  const advance = (seconds) => {
+    current += seconds * 1000;
+  };
+  return { provider, cached, advance };
+};
+
+const titleOf = (result) => result.posts[0].title;
+
+test('cacheKey ignores case, spacing and option order', () => {
+  assert.strictEqual(
+    cacheKey({ category: 'Health ', country: 'us', query: 'Ferry  service' }),
+    cacheKey({ query: 'ferry service', country: 'US', category: 'health' })
+  );
+  assert.notStrictEqual(cacheKey({ query: 'ferry', page: 1 }), cacheKey({ query: 'ferry', page: 2 }));
+});
+
+for (const [backend, createStore] of [
+  ['memory', () => createMemoryStore()],
+  ['postgres', () => createPostgresStore(db)],
+]) {
+  test(`${backend}: a fresh entry is served without calling upstream`, async () => {
+    const { provider, cached, advance } = createCache(createStore());
+
+    assert.strictEqual(titleOf(await cached.search({ query: `${backend} fresh` })), `${backend} fresh #1`);
+    advance(TTL_SECONDS - 1);
+    assert.strictEqual(titleOf(await cached.search({ query: `${backend} fresh` })), `${backend} fresh #1`);
+    assert.strictEqual(provider.calls, 1);
+  });
+
+  test(`${backend}: a stale entry is served, then refreshed in the background`, async () => {
+    const { provider, cached, advance } = createCache(createStore());
+    await cached.search({ query: `${backend} stale` });
+
+    advance(TTL_SECONDS + 1);
+    const written = cached.store.nextWrite();
+    assert.strictEqual(titleOf(await cached.search({ query: `${backend} stale` })), `${backend} stale #1`);
+    await written;
+    assert.strictEqual(provider.calls, 2);
+
+    // The refreshed entry is fresh again
+    assert.strictEqual(titleOf(await cached.search({ query: `${backend} stale` })), `${backend} stale #2`);
+    assert.strictEqual(provider.calls, 2);
+  });
+
+  test(`${backend}: an expired entry is fetched again before responding`, async () => {
+    const { provider, cached, advance } = createCache(createStore());
+    await cached.search({ query: `${backend} expired` });
+
+    advance(TTL_SECONDS + STALE_SECONDS);
+    assert.strictEqual(titleOf(await cached.search({ query: `${backend} expired` })), `${backend} expired #2`);
+    assert.strictEqual(provider.calls, 2);
+  });
+}
+
+test('the postgres store keeps the payload and when it was stored', async () => {
+  const store = createPostgresStore(db);
+  const storedAt = new Date('2025-11-20T12:00:00Z').getTime();
+  await store.set('round-trip', { value: { posts: [{ title: 'Kept' }] }, storedAt });
+  await store.set('round-trip', { value: { posts: [{ title: 'Replaced' }] }, storedAt: storedAt + 1000 });
+
+  assert.deepStrictEqual(await store.get('round-trip'), {
+    value: { posts: [{ title: 'Replaced' }] },
+    storedAt: storedAt + 1000,
+  });
+  assert.strictEqual(await store.get('missing'), null);
+});
+
+test('concurrent searches for the same key share one upstream call', async () => {
+  const { provider, cached } = createCache(createMemoryStore());
+  const results = await Promise.all([cached.search({ query: 'shared' }), cached.search({ query: 'shared' })]);
+
+  assert.deepStrictEqual(results.map(titleOf), ['shared #1', 'shared #1']);
+  assert.strictEqual(provider.calls, 1);
+});
+
+test('a failing cache store falls back to upstream', async () => {
+  const broken = {
+    async get() {
+      throw new Error('store down');
+    },
+    async set() {
+      throw new Error('store down');
+    },
+  };
+  const { provider, cached } = createCache(broken);
+  const logged = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual(titleOf(await cached.search({ query: 'fallback' })), 'fallback #1');
+  } finally {
+    console.error = logged;
+  }
+  assert.strictEqual(provider.calls, 1);
+});
@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const createFixtureProvider = require('../lib/news/fixture');
+const { startTestApp, createClient, createUser } = require('./helpers/app');
+
+const fixture = createFixtureProvider({ file: require.resolve('../lib/news/fixtures/posts.json') });
+
+const titles = (result) => result.posts.map((post) => post.title);
+
+test('the fixture provider filters by ISO code, whatever name the post uses', async () => {
+  const canada = await fixture.search({ country: 'CA' });
+  assert.deepStrictEqual(titles(canada).sort(), [
+    'Prairie farmers restore wetlands for migrating birds',
+    'Toronto library opens a free tool lending branch',
+  ]);
+
+  const britain = await fixture.search({ country: 'gb' });
+  assert.deepStrictEqual(titles(britain), ['Manchester volunteers repair bikes for refugees']);
+
+  const us = await fixture.search({ country: 'US' });
+  assert.ok(us.totalResults > 0);
+  assert.ok(us.posts.every((post) => post.thread.country === 'US'));
+
+  assert.strictEqual((await fixture.search({ country: 'JP' })).totalResults, 0);
+});
+
+let testApp;
+
+before(async () => {
+  testApp = await startTestApp({ news: fixture });
+});
+
+after(() => testApp.close());
+
+test("a user outside the US gets their country's posts from the fixture provider", async () => {
+  await createUser(testApp.db, { username: 'canuck', person: { city: 'Toronto', country: 'Canada' } });
+  const client = createClient(testApp.baseUrl);
+  await client.login('canuck');
+
+  const home = await client.get('/');
+  assert.strictEqual(home.status, 200);
+  assert.match(home.text, /Toronto library opens a free tool lending branch/);
+  assert.doesNotMatch(home.text, /Community garden feeds hundreds of families/);
+});
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, createClient, createUser } = require('./helpers/app');
+
+const POSTS = [
+  {
+    title: 'Clinic opens free dental days',
+    url: 'https://example.com/health/dental',
+    text: 'Volunteers treated hundreds of patients.',
+    published: '2025-11-20T10:00:00Z',
+    categories: ['Health'],
+    sentiment: 'positive',
+    thread: { site: 'example.com' },
+  },
+  {
+    title: 'Underdogs win the cup',
+    url: 'https://example.org/sport/cup',
+    text: 'A season to remember.',
+    published: '2025-11-21T10:00:00Z',
+    categories: ['Sport'],
+    sentiment: 'positive',
+    thread: { site: 'example.org' },
+  },
+  ...['Relay', 'Marathon', 'Regatta'].map((name, index) => ({
+    title: `${name} raises money for the hospital`,
+    url: `https://example.org/sport/${name.toLowerCase()}`,
+    text: 'Runners and rowers gave their time.',
+    published: `2025-11-1${index}T10:00:00Z`,
+    categories: ['Sport'],
+    sentiment: 'positive',
+    thread: { site: 'example.org' },
+  })),
+];
+
+let testApp;
+let client;
+let userId;
+
+before(async () => {
+  testApp = await startTestApp({ posts: POSTS });
+  ({ user_id: userId } = await createUser(testApp.db, { username: 'prefs', person: { city: 'Provo', state: 'UT' } }));
+  client = createClient(testApp.baseUrl);
+  await client.login('prefs');
+});
+
+after(() => testApp.close());
+
+test('preferences need a signed-in user', async () => {
+  const anonymous = createClient(testApp.baseUrl);
+  const response = await anonymous.get('/preferences');
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/login');
+});
+
+test('saving preferences stores topics, scope, filters and sentiment', async () => {
+  await client.get('/preferences');
+  const response = await client.post('/preferences', {
+    'topics[0][category]': 'Sport',
+    'topics[0][weight]': '5',
+    'topics[1][category]': 'Health',
+    'topics[1][weight]': '2',
+    'topics[1][country]': 'CA',
+    'topics[2][category]': 'Not a category',
+    news_scope: 'local',
+    hide_read: 'on',
+    blocked_keywords: 'spoilers\nscores',
+    blocked_domains: 'example.net',
+    min_sentiment: '0.2',
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.match(response.text, /Your preferences have been saved!/);
+
+  const topics = await testApp.db('user_topics').where({ user_id: userId }).orderBy('category');
+  assert.deepStrictEqual(
+    topics.map((topic) => [topic.category, topic.weight, topic.country]),
+    [
+      ['Health', 2, 'CA'],
+      ['Sport', 5, null],
+    ]
+  );
+  const person = await testApp.db('person').where({ user_id: userId }).first();
+  assert.strictEqual(person.news_scope, 'local');
+  assert.strictEqual(person.hide_read, true);
+  const rules = await testApp.db('content_rules').where({ user_id: userId }).orderBy('value');
+  assert.deepStrictEqual(
+    rules.map((rule) => [rule.rule_type, rule.value]),
+    [
+      ['domain', 'example.net'],
+      ['keyword', 'scores'],
+      ['keyword', 'spoilers'],
+    ]
+  );
+});
+
+test('the preferences page shows what was saved', async () => {
+  const response = await client.get('/preferences');
+  assert.strictEqual(response.status, 200);
+  assert.match(response.text, /spoilers/);
+  assert.match(response.text, /example\.net/);
+});
+
+test('the home feed asks the news source for the chosen topics', async () => {
+  testApp.news.searches.length = 0;
+  const response = await client.get('/');
+
+  assert.strictEqual(response.status, 200);
+  assert.match(response.text, /Underdogs win the cup/);
+  const categories = testApp.news.searches.map((options) => options.category).filter(Boolean);
+  assert.ok(categories.includes('Sport'));
+  assert.ok(categories.includes('Health'));
+});
+
+test('every topic section shows the same number of cards, ordered by weight', async () => {
+  await client.get('/preferences');
+  await client.post('/preferences', {
+    'topics[0][category]': 'Sport',
+    'topics[0][weight]': '1',
+    'topics[1][category]': 'Health',
+    'topics[1][weight]': '5',
+    news_scope: 'national',
+  });
+
+  const response = await client.get('/');
+  const sections = [...response.text.matchAll(/<section class="news-section">([\s\S]*?)<\/section>/g)].map((match) => match[1]);
+  assert.strictEqual(sections.length, 2);
+  assert.match(sections[0], /Clinic opens free dental days/);
+  // Weight 1 still gets a full section, with a link to the rest
+  assert.strictEqual((sections[1].match(/class="news-card/g) || []).length, 3);
+  assert.match(sections[1], /View all 4 articles/);
+});
+
+test('saving with no topics clears them', async () => {
+  await client.get('/preferences');
+  const response = await client.post('/preferences', { news_scope: 'national' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await testApp.db('user_topics').where({ user_id: userId })).length, 0);
+  const person = await testApp.db('person').where({ user_id: userId }).first();
+  assert.strictEqual(person.news_scope, 'national');
+  assert.strictEqual(person.hide_read, false);
+});
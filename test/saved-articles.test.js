@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, createClient, createUser } = require('./helpers/app');
+
+const ARTICLE = {
+  title: 'Library lends out telescopes',
+  url: 'https://example.com/science/telescopes',
+  site: 'example.com',
+  category: 'Science and Technology',
+  published: '2025-11-22T08:00:00Z',
+  excerpt: 'Stargazing for everyone.',
+};
+
+// The same article as the news source returns it
+const POST = {
+  title: ARTICLE.title,
+  url: ARTICLE.url,
+  text: ARTICLE.excerpt,
+  published: ARTICLE.published,
+  categories: [ARTICLE.category],
+  thread: { site: ARTICLE.site },
+};
+
+let testApp;
+let client;
+let userId;
+
+before(async () => {
+  testApp = await startTestApp({ posts: [POST] });
+  ({ user_id: userId } = await createUser(testApp.db, { username: 'saver' }));
+  client = createClient(testApp.baseUrl);
+  await client.login('saver');
+  // The home page carries the CSRF token the save button script sends
+  await client.get('/');
+});
+
+after(() => testApp.close());
+
+test('saving needs a signed-in user', async () => {
+  const anonymous = createClient(testApp.baseUrl);
+  await anonymous.get('/signup');
+  const response = await anonymous.send('POST', '/save-article', ARTICLE);
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(response.json().success, false);
+});
+
+test('saving needs a title and url', async () => {
+  const response = await client.send('POST', '/save-article', { url: ARTICLE.url });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.json().message, 'Title and URL are required');
+});
+
+test('saving without the CSRF header is rejected', async () => {
+  const response = await client.send('POST', '/save-article', ARTICLE);
+  assert.strictEqual(response.status, 200);
+  await testApp.db('news_posts').where({ user_id: userId }).del();
+
+  const forged = await fetch(`${testApp.baseUrl}/save-article`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(ARTICLE),
+  });
+  assert.strictEqual(forged.status, 403);
+});
+
+test('an article is saved with its metadata and listed on /saved', async () => {
+  const response = await client.send('POST', '/save-article', ARTICLE);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.json(), { success: true, message: 'Article saved successfully' });
+
+  const row = await testApp.db('news_posts').where({ user_id: userId, url: ARTICLE.url }).first();
+  assert.strictEqual(row.title, ARTICLE.title);
+  assert.strictEqual(row.site, 'example.com');
+  assert.strictEqual(row.category, 'Science and Technology');
+  assert.strictEqual(new Date(row.published_at).toISOString(), '2025-11-22T08:00:00.000Z');
+
+  const saved = await client.get('/saved');
+  assert.strictEqual(saved.status, 200);
+  assert.match(saved.text, /Library lends out telescopes/);
+});
+
+test('saving the same article twice is a conflict (DUPLICATE_ARTICLE)', async () => {
+  const response = await client.send('POST', '/save-article', ARTICLE);
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.json().message, 'Article already saved');
+  assert.strictEqual((await testApp.db('news_posts').where({ user_id: userId })).length, 1);
+});
+
+test('unsaving removes the article, and a second unsave is not found', async () => {
+  const response = await client.send('DELETE', '/unsave-article', { url: ARTICLE.url });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.json().success, true);
+  assert.strictEqual(await testApp.db('news_posts').where({ user_id: userId }).first(), undefined);
+
+  const again = await client.send('DELETE', '/unsave-article', { url: ARTICLE.url });
+  assert.strictEqual(again.status, 404);
+  assert.strictEqual(again.json().message, 'Article not found');
+});
+
+test('unsaving needs a url', async () => {
+  const response = await client.send('DELETE', '/unsave-article', {});
+  assert.strictEqual(response.status, 400);
+});
+
+test("one user can't unsave another user's article", async () => {
+  await client.send('POST', '/save-article', ARTICLE);
+  await createUser(testApp.db, { username: 'other-saver' });
+  const other = createClient(testApp.baseUrl);
+  await other.login('other-saver');
+  await other.get('/');
+
+  const response = await other.send('DELETE', '/unsave-article', { url: ARTICLE.url });
+  assert.strictEqual(response.status, 404);
+  assert.ok(await testApp.db('news_posts').where({ user_id: userId, url: ARTICLE.url }).first());
+});
+
+test('a saved article shows as saved on its category page and in "load more"', async () => {
+  const categoryPath = `/category/${encodeURIComponent(ARTICLE.category)}`;
+  const savedButton = /class="save-btn saved"[^>]*aria-label="Article saved"/;
+
+  const page = await client.get(categoryPath);
+  assert.strictEqual(page.status, 200);
+  assert.match(page.text, /class="save-article-form"/);
+  assert.match(page.text, savedButton);
+
+  const more = await client.get(`${categoryPath}/more?cursor=cGFnZTI`);
+  assert.match(more.json().html, savedButton);
+
+  // Not saved by this user: the card offers the save button instead
+  const other = createClient(testApp.baseUrl);
+  await other.login('other-saver');
+  const otherPage = await other.get(categoryPath);
+  assert.match(otherPage.text, /class="save-article-form"/);
+  assert.doesNotMatch(otherPage.text, savedButton);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { codeForStep, timeStep, verifyTotp, hashRecoveryCode } = require('../lib/totp');
+
+// RFC 6238 appendix B, SHA-1: the ASCII secret "12345678901234567890" (base32
+// below) and the expected 8-digit codes, of which we use the last 6 digits
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130'],
+];
+
+test('codeForStep matches the RFC 6238 SHA-1 test vectors', () => {
+  VECTORS.forEach(([seconds, expected]) => {
+    assert.strictEqual(codeForStep(SECRET, timeStep(seconds * 1000)), expected.slice(-6), `T=${seconds}`);
+  });
+});
+
+test('verifyTotp accepts the current code and returns its step', () => {
+  VECTORS.forEach(([seconds, expected]) => {
+    const now = seconds * 1000;
+    assert.strictEqual(verifyTotp(SECRET, expected.slice(-6), { now }), timeStep(now));
+  });
+});
+
+test('verifyTotp allows one step of clock drift either way, and no more', () => {
+  const now = 1234567890 * 1000;
+  const step = timeStep(now);
+  assert.strictEqual(verifyTotp(SECRET, codeForStep(SECRET, step - 1), { now }), step - 1);
+  assert.strictEqual(verifyTotp(SECRET, codeForStep(SECRET, step + 1), { now }), step + 1);
+  assert.strictEqual(verifyTotp(SECRET, codeForStep(SECRET, step - 2), { now }), null);
+  assert.strictEqual(verifyTotp(SECRET, codeForStep(SECRET, step + 2), { now }), null);
+  assert.strictEqual(verifyTotp(SECRET, codeForStep(SECRET, step + 2), { now, window: 2 }), step + 2);
+});
+
+test('verifyTotp rejects a code from a step that was already used', () => {
+  const now = 1111111111 * 1000;
+  const step = timeStep(now);
+  const code = codeForStep(SECRET, step);
+  assert.strictEqual(verifyTotp(SECRET, code, { now, afterStep: step }), null);
+  assert.strictEqual(verifyTotp(SECRET, codeForStep(SECRET, step - 1), { now, afterStep: step - 1 }), null);
+  // A later step is still fine after an earlier one was used
+  assert.strictEqual(verifyTotp(SECRET, code, { now, afterStep: step - 1 }), step);
+});
+
+test('verifyTotp rejects malformed and wrong codes', () => {
+  const now = 59 * 1000;
+  assert.strictEqual(verifyTotp(SECRET, '287 082', { now }), timeStep(now));
+  ['', null, '28708', '2870822', 'abcdef', '000000'].forEach((code) => {
+    assert.strictEqual(verifyTotp(SECRET, code, { now }), null, String(code));
+  });
+});
+
+test('recovery codes hash the same however they are typed', () => {
+  assert.strictEqual(hashRecoveryCode('3F9A-C2E1-77B0'), hashRecoveryCode(' 3f9ac2e177b0 '));
+  assert.notStrictEqual(hashRecoveryCode('3f9a-c2e1-77b0'), hashRecoveryCode('3f9a-c2e1-77b1'));
+});
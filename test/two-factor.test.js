@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { generateSecret, codeForStep, timeStep, hashRecoveryCode } = require('../lib/totp');
+const { startTestApp, createClient, createUser } = require('./helpers/app');
+
+const SECRET = generateSecret();
+const RECOVERY_CODE = '3f9a-c2e1-77b0';
+
+let testApp;
+
+before(async () => {
+  testApp = await startTestApp();
+  const { user_id: userId } = await createUser(testApp.db, { username: 'guarded' });
+  await testApp.db('users').where({ user_id: userId }).update({ totp_secret: SECRET, totp_enabled_at: new Date() });
+  await testApp.db('recovery_codes').insert({ user_id: userId, code_hash: hashRecoveryCode(RECOVERY_CODE) });
+});
+
+after(() => testApp.close());
+
+// Sign in with the password and land on the second step
+const startLogin = async () => {
+  const client = createClient(testApp.baseUrl);
+  const response = await client.login('guarded');
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/login/2fa');
+  assert.strictEqual((await client.get('/login/2fa')).status, 200);
+  return client;
+};
+
+test('the password alone does not sign in an account with two-factor auth', async () => {
+  const client = await startLogin();
+  assert.strictEqual((await client.get('/account')).location, '/login');
+});
+
+test('the second step goes to /login without a pending sign-in', async () => {
+  const client = createClient(testApp.baseUrl);
+  assert.strictEqual((await client.get('/login/2fa')).location, '/login');
+});
+
+test('a valid code signs in once, and replaying it is rejected', async () => {
+  const code = codeForStep(SECRET, timeStep());
+
+  const client = await startLogin();
+  const response = await client.post('/login/2fa', { code });
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/');
+  assert.strictEqual((await client.get('/account')).status, 200);
+
+  const replay = await startLogin();
+  const replayed = await replay.post('/login/2fa', { code });
+  assert.strictEqual(replayed.status, 401);
+  assert.match(replayed.text, /That code is not valid/);
+  assert.strictEqual((await replay.get('/account')).location, '/login');
+
+  const events = await testApp.db('login_events').where({ username: 'guarded', reason: 'bad_totp' });
+  assert.strictEqual(events.length, 1);
+});
+
+test('a recovery code signs in once and is then used up', async () => {
+  const client = await startLogin();
+  const response = await client.post('/login/2fa', { recovery_code: RECOVERY_CODE.toUpperCase() });
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, '/');
+  const [row] = await testApp.db('recovery_codes').where({ code_hash: hashRecoveryCode(RECOVERY_CODE) });
+  assert.ok(row.used_at);
+
+  const again = await startLogin();
+  const reused = await again.post('/login/2fa', { recovery_code: RECOVERY_CODE });
+  assert.strictEqual(reused.status, 401);
+  assert.strictEqual((await again.get('/account')).location, '/login');
+});
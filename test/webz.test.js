@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildQuery } = require('../lib/news/webz');
+
+test('the query combines the structured filters', () => {
+  assert.strictEqual(
+    buildQuery({ query: 'solar farm', category: 'Environment', country: 'US', location: 'Salt Lake City' }),
+    '(solar farm) category:"Environment" country:US location:"Salt Lake City"'
+  );
+});
+
+test("a city or state with quotes can't add filters of its own", () => {
+  assert.strictEqual(
+    buildQuery({ country: 'US', location: 'Provo" OR country:"RU' }),
+    'country:US location:"Provo OR country RU"'
+  );
+  assert.strictEqual(buildQuery({ country: 'US', location: '"()"' }), 'country:US');
+});
+
+test('search text is stripped of filter syntax', () => {
+  assert.strictEqual(buildQuery({ query: 'cats" country:RU (dogs)' }), '(cats country RU dogs)');
+});